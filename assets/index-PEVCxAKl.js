@@ -0,0 +1,483 @@
+import{EditorState as J}from"https://esm.sh/@codemirror/state";import{MatchDecorator as K,Decoration as Y,ViewPlugin as Z,WidgetType as X,EditorView as I,keymap as Q}from"https://esm.sh/@codemirror/view";import{defaultKeymap as tt}from"https://esm.sh/@codemirror/commands";import{markdown as et}from"https://esm.sh/@codemirror/lang-markdown";import{search as st,searchKeymap as nt}from"https://esm.sh/@codemirror/search";import{autocompletion as ot}from"https://esm.sh/@codemirror/autocomplete";import{syntaxTree as it}from"https://esm.sh/@codemirror/language";import{D as St,V as Ct}from"./vaultSync-OCjMsjCP.js";(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const n of document.querySelectorAll('link[rel="modulepreload"]'))s(n);new MutationObserver(n=>{for(const o of n)if(o.type==="childList")for(const i of o.addedNodes)i.tagName==="LINK"&&i.rel==="modulepreload"&&s(i)}).observe(document,{childList:!0,subtree:!0});function e(n){const o={};return n.integrity&&(o.integrity=n.integrity),n.referrerPolicy&&(o.referrerPolicy=n.referrerPolicy),n.crossOrigin==="use-credentials"?o.credentials="include":n.crossOrigin==="anonymous"?o.credentials="omit":o.credentials="same-origin",o}function s(n){if(n.ep)return;n.ep=!0;const o=e(n);fetch(n.href,o)}})();class at extends X{constructor(t,e,s,n,o,i=!1){super(),this.displayText=t,this.noteTitle=e,this.noteId=s,this.openNoteCallback=n,this.createNoteCallback=o,this.isAlias=i}toDOM(){const t=document.createElement("span");return t.textContent=this.displayText,t.style.cursor="pointer",this.noteId?(t.className="cm-wikilink",this.isAlias?(t.classList.add("cm-wikilink-alias"),t.title=`Alias: "${this.displayText}" → Links to: ${this.noteTitle}`):t.title=`Link to: ${this.noteTitle}`,t.addEventListener("mousedown",e=>{e.preventDefault(),this.openNoteCallback(this.noteId)})):(t.className="cm-wikilink cm-wikilink-broken",this.isAlias?t.title=`Create note: "${this.noteTitle}" (from alias: "${this.displayText}")`:t.title=`Create note: "${this.noteTitle}"`,t.addEventListener("mousedown",e=>{e.preventDefault(),this.createNoteCallback(this.noteTitle)})),t}ignoreEvent(){return!0}}function rt(w,t,e){const s=new K({regexp:/\[\[([^|\]/]+)(?:\|([^\]]+)|\/([^\]]+))?\]\]/g,decoration:(n,o,i)=>{const a=it(o.state).resolve(i+1,-1);if(a.type.name.includes("Code")||a.type.name.includes("Comment"))return null;const c=o.state.selection.main.head;if(c>=i&&c<=i+n[0].length)return null;const d=Object.values(w).reduce((v,k)=>(v[k.title.toLowerCase()]=k.id,v),{}),p=n[1].trim(),h=n[2]?n[2].trim():null,u=n[3]?n[3].trim():null;let g,l,m,b=!1;return h?(m=p,g=l=h,w[m]||(m=null)):u?(g=p,l=u,m=d[g.split("#")[0].trim().toLowerCase()],b=!0):(g=l=p,m=d[g.split("#")[0].trim().toLowerCase()]),Y.replace({widget:new at(l,g,m,t,e,b)})}});return Z.define(n=>({decorations:s.createDeco(n),update(o){(o.docChanged||o.viewportChanged||o.selectionSet)&&(this.decorations=s.updateDeco(o,this.decorations))}}),{decorations:n=>n.decorations})}class ct{constructor(){this.pyodide=null,this.isLoading=!1,this.noteStates=new Map,this.executionCounters=new Map,this.installedPackages=new Set,this.initPromise=this.initPyodide(),this.statusUpdateCallback=null}setStatusCallback(t){this.statusUpdateCallback=t}updateStatus(t,e){this.statusUpdateCallback&&this.statusUpdateCallback(t,e)}async initPyodide(){if(this.pyodide||this.isLoading)return this.pyodide;try{return this.isLoading=!0,this.updateStatus("loading","Loading Python..."),console.log("🐍 Pyodide loading..."),this.pyodide=await loadPyodide({indexURL:"https://cdn.jsdelivr.net/pyodide/v0.25.1/full/"}),console.log("🐍 Pyodide loaded. Please wait while we install some packages..."),this.updateStatus("loading","Installing packages..."),await this.pyodide.loadPackage(["pandas","numpy","matplotlib","micropip"]),console.log("✅ Pyodide and packages loaded successfully"),await this.pyodide.runPythonAsync(`
+import matplotlib.pyplot as plt
+plt.ioff()  # Turn off interactive mode
+            `),this.updateStatus("ready","Ready"),this.pyodide}catch(t){throw console.error("❌ Pyodide failed to load:",t),this.updateStatus("error","Failed to load"),t}finally{this.isLoading=!1}}async ensureReady(){return this.pyodide||await this.initPromise,this.pyodide}getOrCreateNoteState(t){if(!this.noteStates.has(t)){const e=this.pyodide.globals.get("dict")();this.pyodide.runPython(`
+import pandas as pd
+import numpy as np
+import matplotlib.pyplot as plt
+from io import StringIO, BytesIO
+import json
+import csv
+import micropip
+import base64
+import types
+
+plt.ioff()
+
+# Helper to convert a Matplotlib figure to a base64 PNG string
+# This function MUST be defined in each note's namespace to be accessible
+def _convert_fig_to_base64(fig):
+    buf = BytesIO()
+    fig.savefig(buf, format='png', bbox_inches='tight', dpi=100)
+    plt.close(fig)
+    buf.seek(0)
+    return base64.b64encode(buf.read()).decode('utf-8')
+
+# Variables of another note, made available by the app before each run
+_pkm_linked = {}
+
+def from_note(title):
+    ns = _pkm_linked.get(title.lower())
+    if ns is None:
+        raise NameError(f"No Python namespace for note '{title}'. Run its cells first.")
+    return types.SimpleNamespace(**{k: v for k, v in ns.items() if not k.startswith('_') and k not in _pkm_setup_names})
+
+_pkm_setup_names = set(globals().keys())
+            `,{globals:e}),this.noteStates.set(t,e),console.log(`🗂️ Created isolated state for note ${t}`)}return this.noteStates.get(t)}hasNoteState(t){return this.noteStates.has(t)}clearNoteState(t){this.noteStates.has(t)&&(this.noteStates.get(t).destroy(),this.noteStates.delete(t),this.executionCounters.delete(t),console.log(`🗑️ Cleared state for note ${t}`))}getNextExecutionNumber(t){const s=(this.executionCounters.get(t)||0)+1;return this.executionCounters.set(t,s),s}getCurrentExecutionNumber(t){return this.executionCounters.get(t)||0}linkNoteStates(n,t){const e=this.pyodide.globals.get("dict")();Object.entries(t).forEach(([s,i])=>this.noteStates.has(i)&&e.set(s,this.noteStates.get(i))),n.set("_pkm_linked",e),e.destroy()}async installPackages(n){await this.ensureReady();const t=n.filter(s=>!this.installedPackages.has(s));if(t.length===0)return;this.updateStatus("loading",`Installing ${t.join(", ")}...`);const e=this.pyodide.pyimport("micropip");try{await e.install(t),t.forEach(s=>this.installedPackages.add(s)),console.log(`📦 Installed Python packages: ${t.join(", ")}`)}finally{e.destroy(),this.updateStatus("ready","Ready")}}async executeCode(t,e,s,b={}){await this.ensureReady();const n=this.getOrCreateNoteState(e),o=this.getNextExecutionNumber(e);this.linkNoteStates(n,b);let i="",r=null,a=[];this.pyodide.setStdout({batched:c=>{i+=c+`
+`}});try{await this.pyodide.runPythonAsync(`
+_captured_figures = []
+_original_show = plt.show
+
+def _capture_show(*args, **kwargs):
+    figs = [plt.figure(i) for i in plt.get_fignums()]
+    for fig in figs:
+        # This will now correctly find the helper function in the note's namespace
+        _captured_figures.append(_convert_fig_to_base64(fig))
+    plt.close('all')
+
+plt.show = _capture_show
+            `,{globals:n});const c=t.match(/^\s*#\s*data_url:\s*['"]?(https?:\/\/[^\s\r\n'"]+)['"]?/m);if(c){console.log("🌐 Found data_url directive:",c[1]);const p=c[1].trim(),h=await fetch(p);if(!h.ok)throw new Error(`Failed to fetch data: ${h.status} ${h.statusText}`);const u=await h.text();console.log(`📊 Fetched ${u.length} characters of data`),n.set("fetched_data",u);const g=t.replace(/^\s*#\s*data_url:.*$/m,"").trim();g&&(r=await this.pyodide.runPythonAsync(g,{globals:n})),n.delete("fetched_data")}else r=await this.pyodide.runPythonAsync(t,{globals:n});r&&typeof r.toJs=="function"&&r.type==="<class 'matplotlib.figure.Figure'>"&&(a.push(n.get("_convert_fig_to_base64")(r)),r.destroy(),r=null);const d=await this.pyodide.runPythonAsync(`
+figures = _captured_figures.copy()
+_captured_figures.clear()
+figures
+            `,{globals:n});d&&d.length>0&&(a.push(...d.toJs()),d.destroy()),await this.pyodide.runPythonAsync(`
+plt.show = _original_show
+            `,{globals:n})}catch(c){throw c}finally{this.pyodide.setStdout({})}return{result:r,stdout:i.trim(),executionNumber:o,blockIndex:s,plots:a}}formatOutput(t,e,s,n){let o="",i="";if(o+=`<div class="output-header">
+            <div class="execution-info"><span class="execution-number">[${s}]</span> <span>Executed</span></div>
+            <button class="copy-output-btn" title="Copy output to clipboard">Copy</button>
+        </div>`,e&&(o+='<div class="output-label">Output:</div>',o+=`<pre class="output-text">${this.escapeHtml(e)}</pre>`,i+=e+`
+`),n&&n.length>0&&n.forEach((a,c)=>{o+='<div class="plot-container">',n.length>1&&(o+=`<div class="output-label">Plot ${c+1}:</div>`),o+=`<img src="data:image/png;base64,${a}" alt="Plot ${c+1}" />`,o+=`<div class="plot-actions">
+                    <button class="copy-plot-btn" title="Copy image to clipboard" data-plot-base64="${a}">Copy Image</button>
+                    <button class="download-plot-btn" title="Download image as PNG" data-plot-base64="${a}" data-filename="plot_${s}_${c+1}.png">Download</button>
+                </div>`,o+="</div>"}),t!=null){let a="";try{typeof t.to_html=="function"?(o+='<div class="output-label">Result:</div>',o+=t.to_html(),a=t.to_string?t.to_string():String(t),t.destroy()):typeof t.toString=="function"&&(a=t.toString(),a!=="undefined"&&a.trim()!==""&&(o+='<div class="output-label">Result:</div>',o+=`<pre class="output-result">${this.escapeHtml(a)}</pre>`))}catch{}a.trim()!==""&&(i+=`Result:
+${a}`)}return{html:o||"<pre>Code executed successfully.</pre>",rawText:i.trim()}}escapeHtml(t){const e=document.createElement("div");return e.textContent=t,e.innerHTML}}const lt="modulepreload",dt=function(w){return"/"+w},B={},ut=function(t,e,s){let n=Promise.resolve();if(e&&e.length>0){let a=function(c){return Promise.all(c.map(d=>Promise.resolve(d).then(p=>({status:"fulfilled",value:p}),p=>({status:"rejected",reason:p}))))};document.getElementsByTagName("link");const i=document.querySelector("meta[property=csp-nonce]"),r=i?.nonce||i?.getAttribute("nonce");n=a(e.map(c=>{if(c=dt(c),c in B)return;B[c]=!0;const d=c.endsWith(".css"),p=d?'[rel="stylesheet"]':"";if(document.querySelector(`link[href="${c}"]${p}`))return;const h=document.createElement("link");if(h.rel=d?"stylesheet":lt,d||(h.as="script"),h.crossOrigin="",h.href=c,r&&h.setAttribute("nonce",r),document.head.appendChild(h),d)return new Promise((u,g)=>{h.addEventListener("load",u),h.addEventListener("error",()=>g(new Error(`Unable to preload CSS for ${c}`)))})}))}function o(i){const r=new Event("vite:preloadError",{cancelable:!0});if(r.payload=i,window.dispatchEvent(r),!r.defaultPrevented)throw i}return n.then(i=>{for(const r of i||[])r.status==="rejected"&&o(r.reason);return t().catch(o)})};class ht{constructor(){this.webR=null,this.isLoading=!1,this.noteEnvs=new Set,this.executionCounters=new Map,this.installedPackages=new Set(["ggplot2","dplyr"]),this.initPromise=this.initWebR(),this.statusUpdateCallback=null}setStatusCallback(t){this.statusUpdateCallback=t}updateStatus(t,e){this.statusUpdateCallback&&this.statusUpdateCallback(t,e)}async initWebR(){if(this.webR||this.isLoading)return this.webR;try{this.isLoading=!0,this.updateStatus("loading","Loading R..."),console.log("®️ webR loading...");const{WebR:t}=await ut(async()=>{const{WebR:e}=await import("https://webr.r-wasm.org/latest/webr.mjs");return{WebR:e}},[]);return this.webR=new t,await this.webR.init(),console.log("®️ webR loaded. Installing packages..."),this.updateStatus("loading","Installing packages..."),await this.webR.installPackages([...this.installedPackages]),await this.webR.evalRVoid(`
+.pkm_envs <- new.env()
+.pkm_titles <- list()
+from_note <- function(title) {
+  id <- .pkm_titles[[tolower(title)]]
+  if (is.null(id) || !exists(id, envir = .pkm_envs, inherits = FALSE))
+    stop(sprintf("No R environment for note '%s'. Run its cells first.", title))
+  get(id, envir = .pkm_envs)
+}
+            `),console.log("✅ webR and packages loaded successfully"),this.updateStatus("ready","Ready"),this.webR}catch(t){throw console.error("❌ webR failed to load:",t),this.updateStatus("error","Failed to load"),t}finally{this.isLoading=!1}}async ensureReady(){return this.webR||await this.initPromise,this.webR}async executeCode(t,a,b={}){await this.ensureReady();const c=(this.executionCounters.get(a)||0)+1;this.executionCounters.set(a,c);const e={stdout:"",stderr:"",plots:[],result:null,executionNumber:c,error:!1};let s,n;try{const o=Object.entries(b).map(([i,r])=>`${JSON.stringify(i)} = ${JSON.stringify(r)}`).join(", ");await this.webR.evalRVoid(`if (!exists("${a}", envir = .pkm_envs, inherits = FALSE)) assign("${a}", new.env(parent = globalenv()), envir = .pkm_envs)
+.pkm_titles <- list(${o})`),this.noteEnvs.add(a),s=await new this.webR.Shelter;const d=`print(local({ ${t} }, envir = get("${a}", envir = .pkm_envs)))`;n=await s.captureR(d),n.output.forEach(i=>{i.type==="stdout"?e.stdout+=i.data+`
+`:i.type==="stderr"&&(e.stderr+=i.data+`
+`)});for(const i of n.images){const r=document.createElement("canvas");r.width=i.width,r.height=i.height,r.getContext("2d").drawImage(i,0,0),e.plots.push(r.toDataURL("image/png").split(",")[1])}}catch(o){e.stderr=o.message,e.error=!0}finally{n&&n.result&&this.webR.destroy(n.result),s&&await s.purge()}return e}hasNoteState(e){return this.noteEnvs.has(e)}async clearNoteState(e){this.noteEnvs.has(e)&&(await this.webR.evalRVoid(`rm(list = "${e}", envir = .pkm_envs)`),this.noteEnvs.delete(e),this.executionCounters.delete(e))}async installPackages(e){await this.ensureReady();const t=e.filter(n=>!this.installedPackages.has(n));if(t.length!==0){this.updateStatus("loading",`Installing ${t.join(", ")}...`);try{await this.webR.evalRVoid(`webr::install(c(${t.map(n=>JSON.stringify(n)).join(", ")}))`),t.forEach(n=>this.installedPackages.add(n)),console.log(`📦 Installed R packages: ${t.join(", ")}`)}finally{this.updateStatus("ready","Ready")}}}formatOutput(t){let e="",s="";return e+=`<div class="output-header">
+            <div class="execution-info"><span class="execution-number">[${t.executionNumber}]</span> <span>Executed</span></div>
+            <button class="copy-output-btn" title="Copy output to clipboard">Copy</button>
+        </div>`,t.stderr&&t.stderr.trim()&&(e+=`<pre class="output-error">${this.escapeHtml(t.stderr.trim())}</pre>`,s+=`Error:
+${t.stderr.trim()}
+`),t.stdout&&t.stdout.trim()&&(e+='<div class="output-label">Output & Result:</div>',e+=`<pre class="output-text">${this.escapeHtml(t.stdout.trim())}</pre>`,s+=t.stdout.trim()+`
+`),t.plots&&t.plots.length>0&&t.plots.forEach((o,i)=>{e+='<div class="plot-container">',t.plots.length>1&&(e+=`<div class="output-label">Plot ${i+1}:</div>`),e+=`<img src="data:image/png;base64,${o}" alt="R Plot ${i+1}" />`,e+=`<div class="plot-actions">
+                    <button class="copy-plot-btn" title="Copy image to clipboard" data-plot-base64="${o}">Copy Image</button>
+                    <button class="download-plot-btn" title="Download image as PNG" data-plot-base64="${o}" data-filename="r_plot_${t.executionNumber}_${i+1}.png">Download</button>
+                </div>`,e+="</div>"}),{html:e||"<pre>Code executed successfully.</pre>",rawText:s.trim()}}escapeHtml(t){const e=document.createElement("div");return e.textContent=t,e.innerHTML}}class N{constructor(t="Untitled",e=""){this.id=this.generateId(),this.title=t,this.content=e||this.generateDefaultContent(t),this.created=Date.now(),this.modified=Date.now()}generateId(){return Date.now().toString(36)+Math.random().toString(36).substr(2)}generateDefaultContent(t){const e=new Date().toISOString();return`---
+title: ${t}
+created: ${e}
+tags: []
+---
+
+# ${t}
+
+`}parseMetadata(){const t=this.content.match(/^---\n([\s\S]*?)\n---/);if(!t)return{title:this.title,tags:[],created:new Date(this.created).toISOString()};const e=t[1],s={};return e.split(`
+`).forEach(n=>{const o=n.indexOf(":");if(o>0){const i=n.substring(0,o).trim();let r=n.substring(o+1).trim();if(i.startsWith("#"))return;r.startsWith("[")&&r.endsWith("]")?r=r.slice(1,-1).split(",").map(a=>a.trim().replace(/['"]/g,"")):r=r.replace(/^['"]|['"]$/g,""),s[i]=r}}),{title:s.title||this.title,tags:Array.isArray(s.tags)?s.tags:[],created:s.created||new Date(this.created).toISOString(),...s}}update(t,e=!1){this.content=t,e&&(this.modified=Date.now());const s=this.parseMetadata();this.title,this.title=s.title||"Untitled"}getContentWithoutMetadata(){return this.content.replace(/^---\n[\s\S]*?\n---\n?/,"")}getPreview(){const t=/\[\[(?:[^|\]]+\|)?([^\]]+)\]\]/g;return this.getContentWithoutMetadata().replace(/^#+\s*/gm,"").replace(/\*\*(.*?)\*\*/g,"$1").replace(/\*(.*?)\*/g,"$1").replace(t,"$1").replace(/\^([a-zA-Z0-9-]+)/g,"").trim().substring(0,100)}getBlocks(){const r=this.getContentWithoutMetadata().split(`
+`),t=[];let n=null,i=!1;const o=e=>{n&&(n.end=e-1,t.push(n)),n=null};return r.forEach((e,s)=>{if(i){/^\s*(```|~~~)/.test(e)&&(i=!1,o(s+1));return}if(/^\s*(```|~~~)/.test(e)){o(s),n={start:s,type:"code"},i=!0;return}if(!e.trim()){o(s);return}const a=/^#{1,6}\s/.test(e)?"heading":/^\s*([-*+]|\d+[.)])\s/.test(e)?"list":/^\s*\^[\w-]+\s*$/.test(e)&&(n||t.length&&t[t.length-1].end===s-1)?"anchor":"paragraph";if(a==="anchor"){n?(n.anchorLine=s,o(s+1)):t[t.length-1].anchorLine=s;return}(a!=="paragraph"||!n||n.type!=="paragraph")&&(o(s),n={start:s,type:a}),a==="heading"&&o(s+1)}),o(r.length),t.map(e=>{const s=r.slice(e.start,e.end+1),a=(e.anchorLine!==void 0?r[e.anchorLine]:s[s.length-1]).match(/(?:^|\s)\^([\w-]+)\s*$/);return{...e,end:e.anchorLine!==void 0?e.anchorLine:e.end,id:a?a[1]:null,text:s.join(`
+`).replace(/\s\^[\w-]+\s*$/,"").trim()}})}getBlockContent(t){const o=this.getBlocks().find(n=>n.id===t);return o?o.text:null}getHeadingSection(r){const t=this.getContentWithoutMetadata().split(`
+`),n=r.trim().toLowerCase(),i=t.findIndex(s=>{const a=s.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);return a&&a[2].replace(/\s\^[\w-]+$/,"").trim().toLowerCase()===n});if(i<0)return null;const o=t[i].match(/^#+/)[0].length;let e=i+1;for(;e<t.length&&!((t[e].match(/^(#{1,6})\s/)||[])[1]?.length<=o);)e++;return t.slice(i,e).join(`
+`).trim()}ensureBlockId(r){const t=this.getBlocks()[r];if(!t||t.type==="heading")return null;if(t.id)return t.id;const n=new Set(this.getBlocks().map(a=>a.id).filter(Boolean));let i;do i=Math.random().toString(36).slice(2,8);while(n.has(i));const o=this.getContentWithoutMetadata(),e=this.content.slice(0,this.content.length-o.length),s=o.split(`
+`);return s.splice(t.end+1,0,...t.type==="code"?[`^${i}`]:[]),t.type!=="code"&&(s[t.end]=`${s[t.end].replace(/\s+$/,"")} ^${i}`),this.update(e+s.join(`
+`),!0),i}getOutgoingLinks(){const t=new Set,e=/\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|[^\]]*)?\]\]/g;let s;for(;(s=e.exec(this.content))!==null;){const n=s[1].trim();t.add(n)}return[...t]}getTags(){const n=new Set(this.getFrontmatterTags().map(e=>e.replace(/^#/,"").toLowerCase()).filter(Boolean)),i=this.getContentWithoutMetadata().replace(/```[\s\S]*?```/g,"").replace(/`[^`\n]*`/g,"");for(const e of i.matchAll(/(?:^|\s)#([\p{L}_][\p{L}\p{N}_\-/]*)/gu))n.add(e[1].replace(/\/+$/,"").toLowerCase());return[...n]}getFrontmatterTags(){const t=this.parseMetadata().tags;return(Array.isArray(t)?t:typeof t=="string"?t.split(","):[]).map(e=>String(e).trim()).filter(Boolean)}getPackages(e){const t=this.parseMetadata()[e==="python"?"python-packages":"r-packages"];return(Array.isArray(t)?t:typeof t=="string"?t.split(","):[]).map(s=>s.trim()).filter(Boolean)}ensureInternalFormat(t){return t}}class pt{constructor(t){this.updateNotes(t)}updateNotes(t){this.notes=t,this.backlinks={};const e=/\[\[([^|\]]+)\|([^\]]+)\]\]/g;for(const s of Object.values(this.notes)){let n;const o=this.ensureInternalFormat(s.content);for(;(n=e.exec(o))!==null;){const i=n[1],r=this.notes[i];if(r){const a=r.title;this.backlinks[a]||(this.backlinks[a]=[]),this.backlinks[a].push({noteId:s.id,noteTitle:s.title,context:this._getContext(o,n)})}}}}ensureInternalFormat(t){const e=Object.values(this.notes).reduce((s,n)=>(s[n.title.toLowerCase()]=n.id,s),{});return t.replace(/\[\[([^\]|]+)\]\]/g,(s,n)=>{const o=n.trim(),i=e[o.split("#")[0].trim().toLowerCase()];return i?`[[${i}|${o}]]`:s})}getBacklinks(t){return this.backlinks[t]||[]}getUnlinkedMentions(i){const o=i.title.trim();if(o.length<3)return[];const l=new RegExp(`(^|[^\\p{L}\\p{N}_])(${o.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")})(?![\\p{L}\\p{N}_])`,"giu"),a=[];return Object.values(this.notes).forEach(t=>{if(t.id===i.id)return;const r=e=>e.replace(/[^\n]/g," "),c=t.content.replace(/^---\n[\s\S]*?\n---/,r).replace(/```[\s\S]*?```|`[^`\n]*`|!?\[\[[^\]]*\]\]|\[[^\]]*\]\([^)]*\)|<[^>\n]*>/g,r);let s;for(;(s=l.exec(c))!==null;){const e=s.index+s[1].length,n=t.content.substr(e,s[2].length);a.push({noteId:t.id,noteTitle:t.title,index:e,length:n.length,context:this._getContext(t.content,{index:e,0:n,2:n})})}}),a}_sanitize(t){return document.createTextNode(t).nodeValue}_getContext(t,e){const s=e.index,n=e[0],o=e[2],i=t.substring(0,s),r=t.substring(s+n.length),a=i.trim().split(/\s+/),c=a.slice(-3).join(" "),d=a.length>3?"... ":"",p=r.trim().split(/\s+/),h=p.slice(0,3).join(" "),u=p.length>3?" ...":"",g=this._sanitize(c),l=`<strong>${this._sanitize(o)}</strong>`,m=this._sanitize(h);return`${d}${g} ${l} ${m}${u}`}}class gt{constructor(t){this.notes=t,this.svg=null,this.simulation=null,this.currentNoteId=null,this.currentSteps=1}updateNotes(t){this.notes=t}createGraph(t,e,s=1){this.currentNoteId=e,this.currentSteps=s;const n=this.notes[e];if(!n)return;t.innerHTML="";const o=document.createElement("div");o.className="graph-controls",o.style.cssText="margin-bottom: 8px; display: flex; justify-content: center; gap: 4px;";for(let l=1;l<=3;l++){const m=document.createElement("button");m.textContent=`${l} step${l>1?"s":""}`,m.className="step-btn",m.style.cssText=`
+                padding: 4px 8px; 
+                font-size: 11px; 
+                border: 1px solid var(--border); 
+                border-radius: 4px; 
+                background: ${l===s?"var(--primary)":"var(--surface)"}; 
+                color: ${l===s?"white":"var(--text)"}; 
+                cursor: pointer;
+                transition: all 0.2s;
+            `,m.addEventListener("click",()=>{this.createGraph(t,e,l)}),o.appendChild(m)}t.appendChild(o);const i=document.createElement("div");i.className="graph-svg-container",t.appendChild(i);const r=t.clientWidth||260,a=200;this.svg=d3.select(i).append("svg").attr("width",r).attr("height",a).style("background","var(--background)").style("border-radius","6px");const{nodes:c,links:d}=this.prepareMultiStepGraphData(n,s);if(c.length===0){this.svg.append("text").attr("x",r/2).attr("y",a/2).attr("text-anchor","middle").attr("fill","var(--text-muted)").style("font-size","14px").text("No connections");return}const p=s===1?60:s===2?50:40,h=s===1?-200:s===2?-150:-100;this.simulation=d3.forceSimulation(c).force("link",d3.forceLink(d).id(l=>l.id).distance(p)).force("charge",d3.forceManyBody().strength(h)).force("center",d3.forceCenter(r/2,a/2)).force("collision",d3.forceCollide().radius(l=>l.isCurrent?25:l.step===1?20:15));const u=this.svg.append("g").selectAll("line").data(d).enter().append("line").attr("stroke",l=>l.step===1?"var(--primary)":l.step===2?"var(--text-muted)":"var(--border)").attr("stroke-width",l=>l.step===1?2:1).attr("opacity",l=>l.step===1?.8:l.step===2?.6:.4),g=this.svg.append("g").selectAll("g").data(c).enter().append("g").call(d3.drag().on("start",(l,m)=>this.dragstarted(l,m)).on("drag",(l,m)=>this.dragged(l,m)).on("end",(l,m)=>this.dragended(l,m)));g.append("circle").attr("r",l=>l.isCurrent?12:l.step===1?10:l.step===2?8:6).attr("fill",l=>l.isCurrent?"var(--primary)":l.step===1?"var(--success)":l.step===2?"var(--warning)":"var(--text-muted)").attr("stroke",l=>l.isCurrent?"var(--primary)":"var(--border)").attr("stroke-width",l=>l.isCurrent?3:2).attr("opacity",l=>l.step===3?.7:1).style("cursor",l=>l.isCurrent?"default":"pointer"),g.append("text").text(l=>this.truncateText(l.title,l.step===1?15:l.step===2?12:10)).attr("font-size",l=>l.isCurrent?"11px":l.step===1?"10px":"9px").attr("text-anchor","middle").attr("dy",l=>l.isCurrent?-18:l.step===1?-16:l.step===2?-14:-12).attr("fill",l=>l.step===3?"var(--text-muted)":"var(--text)").attr("font-weight",l=>l.isCurrent?"bold":l.step===1?"500":"normal").style("pointer-events","none").style("user-select","none"),g.filter(l=>!l.isCurrent&&l.step>1).append("text").text(l=>l.step).attr("font-size","8px").attr("text-anchor","middle").attr("dy",3).attr("fill","white").style("pointer-events","none").style("user-select","none").style("font-weight","bold"),g.filter(l=>!l.isCurrent).on("click",(l,m)=>{l.stopPropagation(),this.onNodeClick&&this.onNodeClick(m.id)}),this.simulation.on("tick",()=>{u.attr("x1",l=>l.source.x).attr("y1",l=>l.source.y).attr("x2",l=>l.target.x).attr("y2",l=>l.target.y),g.attr("transform",l=>`translate(${l.x},${l.y})`)}),s>1&&this.addStepLegend(r,a)}addStepLegend(t,e){const s=this.svg.append("g").attr("class","step-legend").attr("transform",`translate(10, ${e-40})`),n=[{step:0,label:"Current",color:"var(--primary)"},{step:1,label:"1 step",color:"var(--success)"},{step:2,label:"2 steps",color:"var(--warning)"},{step:3,label:"3 steps",color:"var(--text-muted)"}].filter(i=>i.step===0||i.step<=this.currentSteps),o=s.selectAll(".legend-item").data(n).enter().append("g").attr("class","legend-item").attr("transform",(i,r)=>`translate(0, ${r*12})`);o.append("circle").attr("r",4).attr("fill",i=>i.color).attr("cx",5),o.append("text").text(i=>i.label).attr("x",12).attr("y",0).attr("dy","0.35em").attr("font-size","9px").attr("fill","var(--text-muted)")}prepareMultiStepGraphData(t,e=1){const s=[],n=[],o=new Map,i=new Set;Object.values(this.notes).reduce((r,a)=>(r[a.title.toLowerCase()]=a,r),{}),s.push({id:t.id,title:t.title,isCurrent:!0,step:0}),i.add(t.id),o.set(0,new Set([t.id]));for(let r=1;r<=e;r++){const a=new Set;(o.get(r-1)||new Set).forEach(d=>{const p=this.notes[d];if(!p)return;p.getOutgoingLinks().forEach(u=>{const g=this.notes[u];g&&!i.has(g.id)&&(s.push({id:g.id,title:g.title,isCurrent:!1,step:r}),i.add(g.id),a.add(g.id)),g&&n.push({source:d,target:g.id,type:"outgoing",step:r})}),Object.values(this.notes).forEach(u=>{u.id!==d&&u.getOutgoingLinks().includes(d)&&(i.has(u.id)||(s.push({id:u.id,title:u.title,isCurrent:!1,step:r}),i.add(u.id),a.add(u.id)),n.push({source:u.id,target:d,type:"incoming",step:r}))})}),o.set(r,a)}return{nodes:s,links:n}}prepareCompleteNetworkData(){const t=[],e=[];return Object.values(this.notes).forEach(s=>{t.push({id:s.id,title:s.title,isCurrent:s.id===this.currentNoteId,created:s.created,modified:s.modified,step:s.id===this.currentNoteId?0:this.calculateStepsFromCurrent(s.id)})}),Object.values(this.notes).forEach(s=>{s.getOutgoingLinks().forEach(o=>{const i=Object.values(this.notes).find(r=>r.title.toLowerCase()===o.toLowerCase());i&&(e.find(a=>a.source===s.id&&a.target===i.id||a.source===i.id&&a.target===s.id)||e.push({source:s.id,target:i.id,type:"wikilink",bidirectional:!1,step:1}))})}),{nodes:t,links:e}}prepareVaultGraphData(){const e=Object.values(this.notes),s=e.reduce((o,a)=>(o[a.title.toLowerCase()]=a,o),{}),l=e.map(o=>({id:o.id,title:o.title})),i=[],d=new Set;return e.forEach(o=>{o.getOutgoingLinks().forEach(a=>{const r=this.notes[a]||s[a.toLowerCase()];if(!r||r.id===o.id)return;const c=[o.id,r.id].sort().join("|");d.has(c)||(d.add(c),i.push({source:o.id,target:r.id}))})}),{nodes:l,links:i}}createVaultGraph(e,s){this.destroy(),e.innerHTML="";const l=this.prepareVaultGraphData(),i=l.nodes.filter(t=>s.has(t.id)),d=l.links.filter(t=>s.has(t.source)&&s.has(t.target)),o=e.clientWidth||800,a=e.clientHeight||600;if(this.svg=d3.select(e).append("svg").attr("width",o).attr("height",a).attr("class","vault-graph-svg"),i.length===0)return this.svg.append("text").attr("x",o/2).attr("y",a/2).attr("text-anchor","middle").attr("fill","var(--text-muted)").style("font-size","14px").text("No notes match these filters"),{nodeCount:0,linkCount:0,orphanCount:0,communities:[]};const r=this.buildAdjacencyList(i,d),c=this.calculateBetweennessCentrality(i,r),u=this.detectCommunitiesLouvain(i,r),g=this.analyzeCommunities(u,i).communities.filter(t=>t.size>1||r[t.nodes[0]].length>0).sort((t,n)=>n.size-t.size),m=d3.scaleOrdinal(d3.schemeTableau10).domain(g.map(t=>t.id)),b=d3.scaleSqrt().domain([0,d3.max(i,t=>c[t.id])||1]).range([5,18]),h=x.get("pkm_graph_layout",{});Object.keys(h).some(t=>!this.notes[t])&&(Object.keys(h).forEach(t=>this.notes[t]||delete h[t]),x.set("pkm_graph_layout",h));i.forEach(t=>{t.community=u[t.id],t.betweenness=c[t.id],t.degree=r[t.id].length,t.radius=b(c[t.id]),t.color=t.degree>0?m(String(u[t.id])):"var(--text-muted)",h[t.id]&&(t.x=t.fx=h[t.id].x,t.y=t.fy=h[t.id].y)});const p=this.svg.append("g");return this.svg.call(d3.zoom().scaleExtent([.1,4]).on("zoom",t=>p.attr("transform",t.transform))),this.simulation=d3.forceSimulation(i).force("link",d3.forceLink(d).id(t=>t.id).distance(60)).force("charge",d3.forceManyBody().strength(-120)).force("center",d3.forceCenter(o/2,a/2)).force("collision",d3.forceCollide().radius(t=>t.radius+4)),this.vaultLinks=p.append("g").selectAll("line").data(d).enter().append("line").attr("stroke","var(--border)").attr("stroke-width",1),this.vaultNodes=p.append("g").selectAll("g").data(i).enter().append("g").attr("class","vault-node").classed("pinned",t=>!!h[t.id]).call(d3.drag().on("start",(t,n)=>{t.active||this.simulation.alphaTarget(.3).restart(),n.fx=n.x,n.fy=n.y}).on("drag",(t,n)=>{n.fx=t.x,n.fy=t.y}).on("end",(t,n)=>{t.active||this.simulation.alphaTarget(0),this.pinNode(n)})),this.vaultNodes.append("circle").attr("r",t=>t.radius).attr("fill",t=>t.color).attr("stroke","var(--background)").attr("stroke-width",1.5),this.vaultNodes.append("text").text(t=>this.truncateText(t.title,24)).attr("font-size","9px").attr("text-anchor","middle").attr("dy",t=>-t.radius-4).attr("fill","var(--text)").style("pointer-events","none").style("user-select","none"),this.vaultNodes.append("title").text(t=>`${t.title}
+${t.degree} link${t.degree===1?"":"s"} · betweenness ${t.betweenness.toFixed(3)}`),this.vaultNodes.on("click",(t,n)=>{t.defaultPrevented||(t.stopPropagation(),this.onNodeClick&&this.onNodeClick(n.id))}).on("dblclick",(t,n)=>{t.stopPropagation(),this.unpinNode(n)}),this.simulation.on("tick",()=>{this.vaultLinks.attr("x1",t=>t.source.x).attr("y1",t=>t.source.y).attr("x2",t=>t.target.x).attr("y2",t=>t.target.y),this.vaultNodes.attr("transform",t=>`translate(${t.x},${t.y})`)}),{nodeCount:i.length,linkCount:d.length,orphanCount:i.filter(t=>t.degree===0).length,communities:g.map(t=>{const n=t.nodes.reduce((f,v)=>c[v]>c[f]?v:f,t.nodes[0]);return{color:m(t.id),size:t.size,title:this.notes[n]?this.notes[n].title:"Unknown"}})}}highlightNodes(e){!this.vaultNodes||!this.vaultLinks||(this.vaultNodes.classed("highlighted",s=>!!e&&e.has(s.id)).classed("dimmed",s=>!!e&&!e.has(s.id)),this.vaultLinks.classed("dimmed",s=>!!e&&!(e.has(s.source.id)&&e.has(s.target.id))))}pinNode(e){const s=x.get("pkm_graph_layout",{});s[e.id]={x:Math.round(e.x),y:Math.round(e.y)},x.set("pkm_graph_layout",s),this.vaultNodes&&this.vaultNodes.filter(l=>l.id===e.id).classed("pinned",!0)}unpinNode(e){const s=x.get("pkm_graph_layout",{});delete s[e.id],x.set("pkm_graph_layout",s),e.fx=null,e.fy=null,this.vaultNodes&&this.vaultNodes.filter(l=>l.id===e.id).classed("pinned",!1),this.simulation&&this.simulation.alpha(.3).restart()}unpinAll(){x.set("pkm_graph_layout",{}),this.vaultNodes&&(this.vaultNodes.each(e=>{e.fx=null,e.fy=null}),this.vaultNodes.classed("pinned",!1)),this.simulation&&this.simulation.alpha(.5).restart()}calculateStepsFromCurrent(t){if(!this.currentNoteId||t===this.currentNoteId)return 0;const e=new Set,s=[{noteId:this.currentNoteId,steps:0}];for(e.add(this.currentNoteId);s.length>0;){const{noteId:n,steps:o}=s.shift(),i=this.notes[n];if(!i)continue;const r=i.getOutgoingLinks(),a=new Set;r.forEach(c=>{const d=Object.values(this.notes).find(p=>p.title.toLowerCase()===c.toLowerCase());d&&a.add(d.id)}),Object.values(this.notes).forEach(c=>{c.id!==n&&c.getOutgoingLinks().some(p=>p.toLowerCase()===i.title.toLowerCase())&&a.add(c.id)});for(const c of a){if(c===t)return o+1;!e.has(c)&&o<3&&(e.add(c),s.push({noteId:c,steps:o+1}))}}return 1/0}prepareGraphData(t){return this.prepareMultiStepGraphData(t,1)}exportNetworkCSV(t,e=!0,s=!1,n=!0,o=null){const i=this.notes[t];if(!i)return null;const r=o!==null?o:s?null:this.currentSteps,{nodes:a,links:c}=s?this.prepareCompleteNetworkData():this.prepareMultiStepGraphData(i,r||1),d=this.generateStandardNetworkCSVs(a,c,t,e,r);let p=null;n&&s&&(p=this.generateIsolatedNotesCSV());const h=this.generateNetworkStats(t,a,c,s,n,r);return{edgesCSV:d.edgesCSV,nodesCSV:d.nodesCSV,statsCSV:h,isolatedCSV:p}}generateStandardNetworkCSVs(t,e,s,n,o=null){const i=n?"source_id,target_id,source_title,target_title,link_type,step,source_created,target_created,source_modified,target_modified,source_word_count,target_word_count,source_outgoing_links,target_outgoing_links,source_tags,target_tags,weight":"source_id,target_id,source_title,target_title,link_type,step",r=e.map(h=>{const u=this.notes[h.source],g=this.notes[h.target];if(n&&u&&g){const l=u.getContentWithoutMetadata(),m=g.getContentWithoutMetadata(),b=l.trim()?l.trim().split(/\s+/).length:0,v=m.trim()?m.trim().split(/\s+/).length:0,k=u.getOutgoingLinks().length,C=g.getOutgoingLinks().length,$=u.parseMetadata(),E=g.parseMetadata(),_=Array.isArray($.tags)?$.tags.join(";"):"",S=Array.isArray(E.tags)?E.tags.join(";"):"";return`"${h.source}","${h.target}","${this.escapeCsvValue(u.title)}","${this.escapeCsvValue(g.title)}","${h.type}",${h.step||1},"${new Date(u.created).toISOString()}","${new Date(g.created).toISOString()}","${new Date(u.modified).toISOString()}","${new Date(g.modified).toISOString()}",${b},${v},${k},${C},"${this.escapeCsvValue(_)}","${this.escapeCsvValue(S)}",1`}else{const l=u?u.title:"Unknown",m=g?g.title:"Unknown";return`"${h.source}","${h.target}","${this.escapeCsvValue(l)}","${this.escapeCsvValue(m)}","${h.type}",${h.step||1}`}}),a=[i,...r].join(`
+`),c=n?"id,title,is_focal,node_type,step,created,modified,word_count,character_count,outgoing_links_count,incoming_links_count,tags,first_paragraph,last_modified_days_ago":"id,title,is_focal,node_type,step",d=t.map(h=>{const u=this.notes[h.id];if(n&&u){const g=u.getContentWithoutMetadata(),l=g.trim()?g.trim().split(/\s+/).length:0,m=g.length,b=u.getOutgoingLinks().length,v=Object.values(this.notes).filter(S=>S.id!==u.id&&S.getOutgoingLinks().some(L=>L.toLowerCase()===u.title.toLowerCase())).length,k=u.parseMetadata(),C=Array.isArray(k.tags)?k.tags.join(";"):"",$=g.split(`
+
+`).filter(S=>S.trim()),E=$.length>0?$[0].replace(/\n/g," ").substring(0,100):"",_=Math.floor((Date.now()-u.modified)/(1e3*60*60*24));return`"${h.id}","${this.escapeCsvValue(h.title)}","${h.id===s}","${h.id===s?"focal":"connected"}",${h.step||0},"${new Date(u.created).toISOString()}","${new Date(u.modified).toISOString()}",${l},${m},${b},${v},"${this.escapeCsvValue(C)}","${this.escapeCsvValue(E)}",${_}`}else return`"${h.id}","${this.escapeCsvValue(h.title)}","${h.id===s}","${h.id===s?"focal":"connected"}",${h.step||0}`}),p=[c,...d].join(`
+`);return{edgesCSV:a,nodesCSV:p}}generateNetworkStats(t,e,s,n=!1,o=!0,i=null){const r=this.notes[t],a=e.length,c=s.length,d=n&&o?this.findIsolatedNotes():[],p=d.length,h=Object.keys(this.notes).length,u=h-p,g={};e.forEach(f=>{const y=f.step||0;g[y]=(g[y]||0)+1});const l={};s.forEach(f=>{const y=f.step||1;l[y]=(l[y]||0)+1});const m=n?s.filter(f=>f.source===t).length:s.filter(f=>f.type==="outgoing").length,b=n?s.filter(f=>f.target===t).length:s.filter(f=>f.type==="incoming").length,v=a*(a-1),k=v>0?c*2/v:0,C=this.buildAdjacencyList(e,s),$=this.calculateBetweennessCentrality(e,C),E=Object.entries($).sort(([,f],[,y])=>y-f).slice(0,10).map(([f,y])=>{const M=this.notes[f],D=e.find(G=>G.id===f);return{nodeId:f,title:M?M.title:"Unknown",centrality:y.toFixed(4),step:D?D.step:"unknown"}}),_=this.detectCommunitiesLouvain(e,C),S=this.analyzeCommunities(_,e),L={};s.forEach(f=>{L[f.source]=(L[f.source]||0)+1,L[f.target]=(L[f.target]||0)+1});const T=Object.values(L),j=T.length>0?T.reduce((f,y)=>f+y,0)/T.length:0,A=T.length>0?Math.max(...T):0,H=n?this.findConnectedComponents(C):1,F=n?this.calculateNetworkDiameter(C):"N/A",W="metric,value,description",q=[`"network_type","${n?"complete":"ego"}","Type of network exported"`,`"max_steps","${i||(n?"all":this.currentSteps)}","Maximum steps from focal note"`,`"focal_note_id","${t}","ID of the focal note"`,`"focal_note_title","${this.escapeCsvValue(r.title)}","Title of the focal note"`,`"total_notes_in_vault",${h},"Total notes in your vault"`,`"connected_notes",${u},"Notes with at least one wikilink"`,`"isolated_notes",${p},"Notes with no wikilinks (orphans)"`,`"isolation_rate",${(p/h*100).toFixed(1)}%,"Percentage of notes that are isolated"`,`"nodes_in_network",${a},"Notes included in network export"`,`"total_edges",${c},"Total number of connections"`,`"outgoing_edges_from_focal",${m},"Links from focal note to others"`,`"incoming_edges_to_focal",${b},"Links from others to focal note"`,`"network_density",${k.toFixed(4)},"Ratio of actual to possible connections"`,`"average_degree",${j.toFixed(2)},"Average connections per note"`,`"max_degree",${A},"Maximum connections for any note"`,`"connected_components",${H},"Number of disconnected subgraphs"`,`"network_diameter","${F}","Longest shortest path in network"`,`"num_communities",${S.numCommunities},"Number of detected communities"`,`"modularity",${S.modularity.toFixed(4)},"Community structure quality (higher = better separation)"`,`"largest_community_size",${S.largestCommunitySize},"Size of the largest community"`,`"network_coverage",${(a/h*100).toFixed(1)}%,"Percentage of vault included in this network"`,`"export_timestamp","${new Date().toISOString()}","When this export was generated"`],O=[];for(let f=0;f<=3;f++){const y=g[f]||0;if(y>0||f===0){const M=f===0?"focal note":`${f} step${f>1?"s":""} from focal`;O.push(`"nodes_at_step_${f}",${y},"Number of nodes ${M}"`)}}const P=[];for(let f=1;f<=3;f++){const y=l[f]||0;y>0&&P.push(`"edges_at_step_${f}",${y},"Connections at step ${f}"`)}const V=E.map((f,y)=>`"betweenness_rank_${y+1}","${f.nodeId}: ${this.escapeCsvValue(f.title)} (${f.centrality}) [step ${f.step}]","Node with ${y===0?"highest":"rank "+(y+1)} betweenness centrality"`),z=S.communities.map((f,y)=>`"community_${y+1}","${f.nodes.join(";")}","Community ${y+1} members (${f.size} nodes)"`),U=d.slice(0,10).map((f,y)=>`"isolated_note_${y+1}","${f.id}: ${this.escapeCsvValue(f.title)}","Isolated note example ${y+1}"`);return[W,...q,...O,...P,...V,...z,...U].join(`
+`)}findIsolatedNotes(){const t=new Set;return Object.values(this.notes).forEach(s=>{const n=s.getOutgoingLinks();n.length>0&&(t.add(s.id),n.forEach(i=>{const r=Object.values(this.notes).find(a=>a.title.toLowerCase()===i.toLowerCase());r&&t.add(r.id)})),Object.values(this.notes).some(i=>i.id===s.id?!1:i.getOutgoingLinks().some(r=>r.toLowerCase()===s.title.toLowerCase()))&&t.add(s.id)}),Object.values(this.notes).filter(s=>!t.has(s.id))}generateIsolatedNotesCSV(){const t=this.findIsolatedNotes(),e="id,title,created,modified,word_count,character_count,tags,first_paragraph,last_modified_days_ago,potential_tags",s=t.map(n=>{const o=n.getContentWithoutMetadata(),i=o.trim()?o.trim().split(/\s+/).length:0,r=o.length,a=n.parseMetadata(),c=Array.isArray(a.tags)?a.tags.join(";"):"",d=o.split(`
+
+`).filter(g=>g.trim()),p=d.length>0?d[0].replace(/\n/g," ").substring(0,150):"",h=Math.floor((Date.now()-n.modified)/(1e3*60*60*24)),u=this.extractPotentialTags(o);return`"${n.id}","${this.escapeCsvValue(n.title)}","${new Date(n.created).toISOString()}","${new Date(n.modified).toISOString()}",${i},${r},"${this.escapeCsvValue(c)}","${this.escapeCsvValue(p)}",${h},"${this.escapeCsvValue(u.join(";"))}"`});return[e,...s].join(`
+`)}extractPotentialTags(t){const e=new Set;return(t.match(/\b[A-Z][a-z]+\b/g)||[]).forEach(i=>{i.length>3&&!["The","This","That","When","Where","What","Why","How"].includes(i)&&e.add(i)}),(t.match(/#\w+/g)||[]).forEach(i=>e.add(i.substring(1))),(t.match(/"([^"]+)"/g)||[]).forEach(i=>{const r=i.replace(/"/g,"");r.length>3&&r.length<30&&e.add(r)}),Array.from(e).slice(0,5)}truncateText(t,e){return t.length<=e?t:t.substring(0,e-3)+"..."}dragstarted(t,e){t.active||this.simulation.alphaTarget(.3).restart(),e.fx=e.x,e.fy=e.y}dragged(t,e){e.fx=t.x,e.fy=t.y}dragended(t,e){t.active||this.simulation.alphaTarget(0),e.fx=null,e.fy=null}destroy(){this.simulation&&(this.simulation.stop(),this.simulation=null),this.svg&&(this.svg.remove(),this.svg=null),this.vaultNodes=this.vaultLinks=null}buildAdjacencyList(t,e){const s={};return t.forEach(n=>{s[n.id]=[]}),e.forEach(n=>{s[n.source].push(n.target),s[n.target].push(n.source)}),Object.keys(s).forEach(n=>{s[n]=[...new Set(s[n])]}),s}calculateBetweennessCentrality(t,e){const s={},n=t.map(r=>r.id);n.forEach(r=>{s[r]=0}),n.forEach(r=>{const a={},c={},d=[r],p=[];for(n.forEach(u=>{a[u]=-1,c[u]=[]}),a[r]=0;d.length>0;){const u=d.shift();p.push(u),e[u].forEach(g=>{a[g]<0&&(d.push(g),a[g]=a[u]+1),a[g]===a[u]+1&&c[g].push(u)})}const h={};for(n.forEach(u=>{h[u]=0});p.length>0;){const u=p.pop();c[u].forEach(g=>{h[g]+=(1+h[u])/c[u].length}),u!==r&&(s[u]+=h[u])}});const o=n.length,i=o>2?2/((o-1)*(o-2)):1;return Object.keys(s).forEach(r=>{s[r]*=i}),s}detectCommunitiesLouvain(t,e){const s=t.map(c=>c.id),n={};s.forEach((c,d)=>{n[c]=d});const o=Object.values(e).reduce((c,d)=>c+d.length,0)/2;let i=!0,r=0;const a=50;for(;i&&r<a;)i=!1,r++,s.forEach(c=>{const d=n[c],p=e[c],h=new Set;p.forEach(l=>{h.add(n[l])});let u=d,g=0;h.forEach(l=>{if(l!==d){const m=this.calculateModularityGain(c,d,l,n,e,o);m>g&&(g=m,u=l)}}),u!==d&&g>0&&(n[c]=u,i=!0)});return n}calculateModularityGain(t,e,s,n,o,i){const r=o[t],a=r.length;let c=0,d=0;r.forEach(g=>{n[g]===e&&c++,n[g]===s&&d++});const p=this.getCommunityDegree(e,n,o),h=this.getCommunityDegree(s,n,o);return(d-c)/(2*i)-a*(h-p)/(4*i*i)}getCommunityDegree(t,e,s){let n=0;return Object.keys(e).forEach(o=>{e[o]===t&&(n+=s[o].length)}),n}analyzeCommunities(t,e){const s={};Object.entries(t).forEach(([c,d])=>{s[d]||(s[d]=[]),s[d].push(c)});const n=Object.values(s).map(c=>c.length),o=n.length,i=Math.max(...n),r=this.calculateModularity(t,e),a=Object.entries(s).map(([c,d])=>({id:c,nodes:d,size:d.length,titles:d.map(p=>{const h=this.notes[p];return h?h.title:"Unknown"})}));return{numCommunities:o,largestCommunitySize:i,modularity:r,communities:a,distribution:n}}calculateModularity(t,e){const s=e.length,n=new Set(Object.values(t));return n.size===1||n.size===s?0:Math.min(.8,.3+n.size/s*.5)}findConnectedComponents(t){const e=new Set,s=Object.keys(t);let n=0;const o=i=>{e.add(i),t[i].forEach(r=>{e.has(r)||o(r)})};return s.forEach(i=>{e.has(i)||(o(i),n++)}),n}calculateNetworkDiameter(t){const e=Object.keys(t);let s=0;const n=Math.min(e.length,50);return e.slice(0,n).forEach(i=>{const r=this.bfsDistances(i,t),a=Math.max(...Object.values(r).filter(c=>c!==-1));s=Math.max(s,a)}),s}bfsDistances(t,e){const s={},n=[t];for(Object.keys(e).forEach(o=>{s[o]=-1}),s[t]=0;n.length>0;){const o=n.shift();e[o].forEach(i=>{s[i]===-1&&(s[i]=s[o]+1,n.push(i))})}return s}escapeCsvValue(t){return typeof t!="string"?t:t.replace(/"/g,'""').replace(/\n/g," ").replace(/\r/g,"")}downloadCSV(t,e){const s=new Blob([t],{type:"text/csv;charset=utf-8"}),n=URL.createObjectURL(s),o=document.createElement("a");o.href=n,o.download=e,document.body.appendChild(o),o.click(),document.body.removeChild(o),URL.revokeObjectURL(n)}}const x={get:(w,t={})=>{try{return JSON.parse(localStorage.getItem(w))||t}catch{return t}},set:(w,t)=>{localStorage.setItem(w,JSON.stringify(t))}},R=(w,t)=>{let e;return function(...n){const o=()=>{clearTimeout(e),w(...n)};clearTimeout(e),e=setTimeout(o,t)}};class mt{constructor(t,e,s){if(this.toggleButton=document.getElementById(t),this.mainContainer=document.querySelector(e),this.resizablePanes=s,!this.toggleButton||!this.mainContainer){console.error("Sidebar elements not found!");return}this.init()}init(){this.toggleButton.addEventListener("click",()=>this.toggle())}toggle(){this.mainContainer.classList.toggle("right-sidebar-collapsed"),setTimeout(()=>{this.resizablePanes&&typeof this.resizablePanes.update=="function"&&this.resizablePanes.update(),window.dispatchEvent(new Event("resize"))},300)}}class ft{constructor(t,e="",s={},n=null,o=null,i=null){this.onContentChange=null,this.notes=s,this.openNoteCallback=n,this.createNoteCallback=o,this.view=new I({state:J.create({doc:e,extensions:[et(),st(),ot({override:i?[].concat(i):[]}),...n&&o?[rt(s,n,o)]:[],Q.of([...tt,...nt]),I.updateListener.of(r=>{r.docChanged&&this.onContentChange&&this.onContentChange(this.getContent())}),I.lineWrapping]}),parent:t})}getContent(){return this.view.state.doc.toString()}setContent(t){this.view.dispatch({changes:{from:0,to:this.view.state.doc.length,insert:t}})}setOnContentChange(t){this.onContentChange=t}focus(){this.view.focus()}setCursor(t){this.view.dispatch({selection:{anchor:Math.min(t,this.view.state.doc.length)},scrollIntoView:!0})}destroy(){this.view.destroy()}}function vt(p,a){const t=p.split(`
+`),e=a.split(`
+`);let s=0;for(;s<t.length&&s<e.length&&t[s]===e[s];)s++;let o=0;for(;o<t.length-s&&o<e.length-s&&t[t.length-1-o]===e[e.length-1-o];)o++;const n=t.slice(s,t.length-o),i=e.slice(s,e.length-o),c=Array.from({length:n.length+1},()=>new Array(i.length+1).fill(0));for(let d=n.length-1;d>=0;d--)for(let u=i.length-1;u>=0;u--)c[d][u]=n[d]===i[u]?c[d+1][u+1]+1:Math.max(c[d+1][u],c[d][u+1]);const l=t.slice(0,s).map(d=>({type:"same",text:d}));let r=0,h=0;for(;r<n.length&&h<i.length;)n[r]===i[h]?(l.push({type:"same",text:n[r]}),r++,h++):c[r+1][h]>=c[r][h+1]?l.push({type:"del",text:n[r++]}):l.push({type:"add",text:i[h++]});for(;r<n.length;)l.push({type:"del",text:n[r++]});for(;h<i.length;)l.push({type:"add",text:i[h++]});return l.concat(t.slice(t.length-o).map(d=>({type:"same",text:d})))}class yt{constructor(a="pkm_webnotes"){this.name=a,this.db=null,this.revisionInterval=300*1e3,this.maxRevisions=50}open(){return this.db?Promise.resolve(this.db):new Promise((a,t)=>{if(!window.indexedDB){t(new Error("IndexedDB is not available"));return}const e=indexedDB.open(this.name,2);e.onupgradeneeded=()=>{const s=e.result;s.objectStoreNames.contains("notes")||s.createObjectStore("notes",{keyPath:"id"}),s.objectStoreNames.contains("revisions")||s.createObjectStore("revisions",{keyPath:"rev",autoIncrement:!0}).createIndex("noteId","noteId"),s.objectStoreNames.contains("sync")||s.createObjectStore("sync",{keyPath:"key"})},e.onsuccess=()=>{const s=e.result;s.onversionchange=()=>{s.close(),this.db===s&&(this.db=null)},this.db=s,a(s)},e.onblocked=()=>t(new Error("The notes database is held open by another tab running an older version. Close other tabs and reload.")),e.onerror=()=>t(e.error)})}run(a,t,e){return new Promise((s,o)=>{const n=this.db.transaction(a,t),i={};n.oncomplete=()=>s(i.value),n.onerror=n.onabort=()=>o(n.error||new Error("IndexedDB transaction aborted")),e(n,i)})}getAllNotes(){return this.run(["notes"],"readonly",(a,t)=>{a.objectStore("notes").getAll().onsuccess=e=>{t.value=e.target.result}})}saveNotes(a,t=[],e=[]){return this.run(["notes","revisions"],"readwrite",s=>{const o=s.objectStore("notes");a.forEach(n=>o.put(n)),t.forEach(n=>{o.delete(n),this.deleteRevisions(s,n)}),e.forEach(n=>this.recordRevision(s,n))})}recordRevision(a,{note:t,previous:e,force:s}){const o=a.objectStore("revisions"),n=Date.now();let i=0;o.index("noteId").openCursor(IDBKeyRange.only(t.id),"prev").onsuccess=c=>{const l=c.target.result;if(!l){i===0&&(e&&o.add({noteId:t.id,title:e.title,content:e.content,created:e.modified,timestamp:e.modified}),o.add({noteId:t.id,title:t.title,content:t.content,created:n,timestamp:n}));return}if(i===0){const r=l.value;r.content===t.content?i=1:!s&&n-r.created<this.revisionInterval?(l.update({...r,title:t.title,content:t.content,timestamp:n}),i=1):(o.add({noteId:t.id,title:t.title,content:t.content,created:n,timestamp:n}),i=2)}else++i>this.maxRevisions&&l.delete();l.continue()}}deleteRevisions(a,t){const e=a.objectStore("revisions");e.index("noteId").openKeyCursor(IDBKeyRange.only(t)).onsuccess=s=>{const o=s.target.result;o&&(e.delete(o.primaryKey),o.continue())}}getRevisions(a){return this.run(["revisions"],"readonly",(t,e)=>{t.objectStore("revisions").index("noteId").getAll(IDBKeyRange.only(a)).onsuccess=s=>{e.value=s.target.result.sort((o,n)=>n.rev-o.rev)}})}getSyncData(){return this.run(["sync"],"readonly",(t,e)=>{t.objectStore("sync").get("folder").onsuccess=s=>{e.value=s.target.result}})}setSyncData(t){return this.run(["sync"],"readwrite",e=>{t?e.objectStore("sync").put({...t,key:"folder"}):e.objectStore("sync").delete("folder")})}}class wt{constructor(){this.postings=new Map,this.docs=new Map}tokenize(e){return e.toLowerCase().replace(/\[\[[^|\]]+\|/g,"[[").match(/[\p{L}\p{N}_]+/gu)||[]}rebuild(e){this.postings.clear(),this.docs.clear(),Object.values(e).forEach(t=>this.indexNote(t))}indexNote(e){this.removeNote(e.id);const t=e.parseMetadata(),o=e.getContentWithoutMetadata(),a=this.tokenize(e.title),c=this.tokenize(o),r=new Map;a.forEach(n=>r.set(n,(r.get(n)||0)+3)),c.forEach(n=>r.set(n,(r.get(n)||0)+1)),r.forEach((n,d)=>{this.postings.has(d)||this.postings.set(d,new Map),this.postings.get(d).set(e.id,n)}),this.docs.set(e.id,{terms:[...r.keys()],length:a.length*3+c.length,title:e.title.toLowerCase(),text:o.toLowerCase(),tags:e.getTags(),folder:(e.folder||"root").toLowerCase(),created:this.parseDate(t.created)||e.created,modified:e.modified})}parseDate(e){const t=String(e).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);return t?new Date(+t[1],t[2]-1,+t[3]).getTime():Date.parse(e)}removeNote(e){const t=this.docs.get(e);t&&(t.terms.forEach(o=>{const a=this.postings.get(o);a&&(a.delete(e),a.size===0&&this.postings.delete(o))}),this.docs.delete(e))}parseQuery(e){const t={terms:[],phrases:[],excludeTerms:[],excludePhrases:[],filters:[]},o=/(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;let a;for(;(a=o.exec(e))!==null;){const c=a[1]==="-",r=(a[2]||"").toLowerCase(),n=(a[3]!==void 0?a[3]:a[4]||"").trim();if(["tag","folder","created","modified"].includes(r)){if(!n)continue;const i={key:r,negate:c,value:n.replace(/^#/,"").toLowerCase()};if(r==="created"||r==="modified"){const s=this.parseDateRange(n);if(!s)continue;Object.assign(i,s)}t.filters.push(i);continue}const d=r?`${a[2]}:${n}`:n;if(a[3]!==void 0){const i=d.toLowerCase().replace(/\s+/g," ");i&&(c?t.excludePhrases:t.phrases).push(i)}else{const i=this.tokenize(d);c?t.excludeTerms.push(...i):t.terms.push(...i)}}return t}parseDateRange(e){const t=(d,i)=>{const s=d.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);if(!s)return null;const h=+s[1],l=s[2]?s[2]-1:i?11:0,p=s[3]?+s[3]:i?0:1,u=i?s[3]?new Date(h,l,p+1):s[2]?new Date(h,l+1,1):new Date(h+1,0,1):new Date(h,l,p);return i?u.getTime()-1:u.getTime()},o=e.match(/^(>=|<=|>|<)(.+)$/);if(o){const d=o[2].trim(),i=o[1].startsWith(">")?t(d,o[1]===">"):null,s=o[1].startsWith("<")?t(d,o[1]==="<="):null;return i===null&&s===null?null:{from:i===null?-1/0:o[1]===">"?i+1:i,to:s===null?1/0:o[1]==="<"?s-1:s}}const[a,c=a]=e.split(".."),r=a?t(a,!1):-1/0,n=c?t(c,!0):1/0;return r===null||n===null?null:{from:r,to:n}}expandTerm(e){const t=new Map;if(this.postings.has(e)&&t.set(e,1),e.length>1)for(const o of this.postings.keys())o!==e&&o.startsWith(e)&&t.set(o,.7);return t}matchesFilter(e,t){switch(t.key){case"tag":return e.tags.some(o=>o===t.value||o.startsWith(t.value+"/"));case"folder":return e.folder===t.value||e.folder.startsWith(t.value.replace(/\/$/,"")+"/");default:{const o=e[t.key];return o>=t.from&&o<=t.to}}}search(e){const t=this.parseQuery(e),o=this.docs.size,a=[...this.docs.values()].reduce((i,s)=>i+s.length,0)/(o||1)||1,c=new Map,r=new Set([...t.phrases]);let n=null;t.terms.forEach(i=>{const s=this.expandTerm(i),h=new Set;s.forEach((l,p)=>{r.add(p);const u=this.postings.get(p),f=Math.log(1+(o-u.size+.5)/(u.size+.5));u.forEach((g,m)=>{const b=this.docs.get(m),v=g*2.2/(g+1.2*(.25+.75*b.length/a));c.set(m,(c.get(m)||0)+l*f*v),h.add(m)})}),n=n?new Set([...n].filter(l=>h.has(l))):h}),n||(n=new Set(this.docs.keys()));const d=[];return n.forEach(i=>{const s=this.docs.get(i);if(!t.phrases.every(l=>s.title.includes(l)||s.text.replace(/\s+/g," ").includes(l))||t.excludeTerms.some(l=>this.postings.get(l)?.has(i))||t.excludePhrases.some(l=>s.title.includes(l)||s.text.replace(/\s+/g," ").includes(l))||!t.filters.every(l=>this.matchesFilter(s,l)!==l.negate))return;let h=c.get(i)||0;t.phrases.forEach(l=>h+=s.title.includes(l)?4:2),t.terms.length>0&&s.title.includes(t.terms.join(" "))&&(h+=2),d.push({id:i,score:h,modified:s.modified})}),d.sort((i,s)=>s.score-i.score||s.modified-i.modified).map(({id:i,score:s})=>({id:i,score:s,matches:[...r]}))}highlight(e,t,o){const a=t.filter(Boolean).sort((r,n)=>n.length-r.length);if(a.length===0)return o(e);const c=new RegExp(`(?<![\\p{L}\\p{N}_])(${a.map(r=>r.replace(/[.*+?^${}()|[\]\\]/g,"\\$&").replace(/ /g,"\\s+")).join("|")})`,"giu");return e.split(c).map((r,n)=>n%2===1?`<mark>${o(r)}</mark>`:o(r)).join("")}snippet(e,t,o,a=60){const c=e.replace(/\s+/g," ").trim(),r=c.toLowerCase();let n=-1;t.forEach(s=>{const h=r.search(new RegExp(`(?<![\\p{L}\\p{N}_])${s.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}`,"u"));h>-1&&(n===-1||h<n)&&(n=h)});const d=Math.max(0,n-a),i=Math.min(c.length,(n===-1?0:n)+a*2);return(d>0?"…":"")+this.highlight(c.slice(d,i),t,o)+(i<c.length?"…":"")}}class kt{constructor(){this.entries=[]}static crc32(r){if(!kt.table){kt.table=new Uint32Array(256);for(let t=0;t<256;t++){let n=t;for(let i=0;i<8;i++)n=n&1?3988292384^n>>>1:n>>>1;kt.table[t]=n}}let e=-1;for(let t=0;t<r.length;t++)e=kt.table[(e^r[t])&255]^e>>>8;return(e^-1)>>>0}static async pipe(r,e){return new Uint8Array(await new Response(new Blob([r]).stream().pipeThrough(e)).arrayBuffer())}add(r,e){this.entries.push({path:r,data:e})}async generate(){const r=new TextEncoder,e=[],t=[],n=new Date,i=n.getHours()<<11|n.getMinutes()<<5|n.getSeconds()>>1,m=n.getFullYear()-1980<<9|n.getMonth()+1<<5|n.getDate();let f=0;for(const a of this.entries){const c=typeof a.data=="string"?r.encode(a.data):a.data instanceof Blob?new Uint8Array(await a.data.arrayBuffer()):a.data,h=r.encode(a.path),p=typeof CompressionStream=="function"?await kt.pipe(c,new CompressionStream("deflate-raw")):null,u=p&&p.length<c.length?8:0,g=u?p:c,b=kt.crc32(c),l=new DataView(new ArrayBuffer(30)),s=new DataView(new ArrayBuffer(46));l.setUint32(0,67324752,!0),l.setUint16(4,20,!0),l.setUint16(6,2048,!0),l.setUint16(8,u,!0),l.setUint16(10,i,!0),l.setUint16(12,m,!0),l.setUint32(14,b,!0),l.setUint32(18,g.length,!0),l.setUint32(22,c.length,!0),l.setUint16(26,h.length,!0),s.setUint32(0,33639248,!0),s.setUint16(4,20,!0),s.setUint16(6,20,!0),s.setUint16(8,2048,!0),s.setUint16(10,u,!0),s.setUint16(12,i,!0),s.setUint16(14,m,!0),s.setUint32(16,b,!0),s.setUint32(20,g.length,!0),s.setUint32(24,c.length,!0),s.setUint16(28,h.length,!0),s.setUint32(42,f,!0),e.push(l,h,g),t.push(s,h),f+=30+h.length+g.length}const o=t.reduce((a,c)=>a+c.byteLength,0),d=new DataView(new ArrayBuffer(22));return d.setUint32(0,101010256,!0),d.setUint16(8,this.entries.length,!0),d.setUint16(10,this.entries.length,!0),d.setUint32(12,o,!0),d.setUint32(16,f,!0),new Blob([...e,...t,d],{type:"application/zip"})}static async read(r){const e=new Uint8Array(await r.arrayBuffer()),t=new DataView(e.buffer),n=new TextDecoder;let i=e.length-22;for(;i>=0&&t.getUint32(i,!0)!==101010256;)i--;if(i<0)throw new Error("Not a valid zip archive");const m=[],f=t.getUint16(i+10,!0);let o=t.getUint32(i+16,!0);for(let d=0;d<f;d++){if(t.getUint32(o,!0)!==33639248)throw new Error("Corrupt zip central directory");const a=t.getUint16(o+10,!0),c=t.getUint32(o+20,!0),h=t.getUint16(o+28,!0),p=t.getUint32(o+42,!0),u=n.decode(e.subarray(o+46,o+46+h)),g=p+30+t.getUint16(p+26,!0)+t.getUint16(p+28,!0),b=e.subarray(g,g+c);o+=46+h+t.getUint16(o+30,!0)+t.getUint16(o+32,!0),!u.endsWith("/")&&(a===0?m.push({path:u,bytes:b}):a===8&&typeof DecompressionStream=="function"?m.push({path:u,bytes:await kt.pipe(b,new DecompressionStream("deflate-raw"))}):console.warn(`Skipping "${u}": unsupported zip compression method ${a}`))}return m}}const Mt={daily:{label:"Daily",icon:"📅",folder:"Daily",format:"YYYY-MM-DD",pattern:/^\d{4}-\d{2}-\d{2}$/},weekly:{label:"Weekly",icon:"🗓️",folder:"Weekly",format:"GGGG-[W]ww",pattern:/^\d{4}-W\d{2}$/},monthly:{label:"Monthly",icon:"🗓️",folder:"Monthly",format:"YYYY-MM",pattern:/^\d{4}-\d{2}$/}};function At(t,o="YYYY-MM-DD"){const s=new Date(Date.UTC(t.getFullYear(),t.getMonth(),t.getDate()+3-(t.getDay()+6)%7)),i=s.getUTCFullYear(),a=Math.ceil(((s-Date.UTC(i,0,1))/864e5+1)/7),e=n=>String(n).padStart(2,"0"),r={YYYY:t.getFullYear(),GGGG:i,MMMM:t.toLocaleString("en",{month:"long"}),MMM:t.toLocaleString("en",{month:"short"}),MM:e(t.getMonth()+1),DD:e(t.getDate()),dddd:t.toLocaleString("en",{weekday:"long"}),ddd:t.toLocaleString("en",{weekday:"short"}),HH:e(t.getHours()),mm:e(t.getMinutes()),ss:e(t.getSeconds()),ww:e(a)};return o.replace(/\[([^\]]*)\]|YYYY|GGGG|MMMM|MMM|MM|DD|dddd|ddd|HH|mm|ss|ww/g,(n,l)=>l??r[n])}class bt{constructor(){this.notes={},this.noteStore=new yt,this.savedSnapshots=new Map,this.forcedRevisions=new Set,this.saveErrorShown=!1,this.settings=x.get("pkm_settings",{theme:"light",skipDeleteConfirm:!1,pythonEnabled:!1,rEnabled:!1,templatesFolder:"Templates",periodicNotes:{}}),this.sortOrder=x.get("pkm_sort_order","alphabetical"),this.openTabs=x.get("pkm_open_tabs",[]),this.activeTabIndex=x.get("pkm_active_tab_index",-1),this.editorMode=x.get("pkm_editor_mode","split"),this.history=[],this.historyIndex=-1,this.isNavigating=!1,this.searchIndex=new wt,this.searchQuery="",this.expandedTags=new Set,this.backlinksManager=new pt(this.notes),this.graphManager=new gt(this.notes),this.vaultGraph=new gt(this.notes),this.graphFilters={folder:"",tag:"",orphans:"",from:"",to:"",search:""},this.views={"view:graph":{title:"🕸️ Vault Graph",render:t=>this.renderGraphView(t)},"view:refactor":{title:"🧹 Refactor",render:t=>this.renderRefactorView(t)}},this.pendingRenames=new Map(Object.entries(x.get("pkm_pending_renames",{}))),this.mergeSelection=["",""],this.pyodideManager=null,this.webRManager=null,this.runningNotes=new Set,this.vaultSync=null,this.syncHandle=null,this.syncState=null,this.syncing=!1,this.syncTimer=null,this.syncSummary="",this.editor=null,this.graphManager.onNodeClick=t=>this.openNote(t),this.vaultGraph.onNodeClick=t=>this.openNote(t),this.md=null,this.setupMarkdownParser(),this.init()}escapeRegExp(t){return t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}setupMarkdownParser(){const t=()=>{if(!window.markdownit||!window.hljs){setTimeout(t,100);return}this.initializeMarkdownParser()};t()}initializeMarkdownParser(){const t=s=>{const n=/^\[\[([^|\]\/]+)(?:\|([^\]|]+)(?:\|([^\]]+))?|\/([^\]|]+)(?:\|([^\]]+))?)?\]\]/;function o(i,r){const a=n.exec(i.src.slice(i.pos));if(!a)return!1;const c=a[0],d=a[1].trim(),p=a[2]?a[2].trim():null,h=a[3]?a[3].trim():null,u=a[4]?a[4].trim():null,g=a[5]?a[5].trim():null;let l,m,b,v=null;if(p&&!u)l=d,m=p,b=p,v=h;else if(u){b=d,m=u,v=g;const k=i.env.notes||{},C=Object.values(k).find($=>$.title.toLowerCase()===b.toLowerCase());l=C?C.id:null}else l=d,m=d,b=d;if(!r){const k=i.push("wikilink_open","a",1),C=["wikilink"];v&&C.push(`wikilink-${v}`),k.attrs=[["class",C.join(" ")],["data-link",l||b],["title",`Link to: ${m}${v?` [${v}]`:""}`]],v&&k.attrs.push(["data-decorator",v]);const $=i.push("text","",0);$.content=m,i.push("wikilink_close","a",-1)}return i.pos+=c.length,!0}s.inline.ruler.before("link","wikilink",o),s.renderer.rules.wikilink_open=(i,r,a,c,d)=>{const p=i[r],h=p.attrGet("data-link"),u=p.attrGet("data-decorator");p.attrSet("href","#");const g=c.notes||{},l=h.split("#")[0].trim(),m=g[l]||Object.values(g).find(b=>b.title.toLowerCase()===l.toLowerCase());if(!m)p.attrJoin("class","broken");else{const b=m.title,v=u?` [${u}]`:"";p.attrSet("title",`Link to: ${b}${v}`)}return d.renderToken(i,r,a)}},e=window.markdownit({html:!0,linkify:!0,typographer:!0,tables:!0}).use(t).use(s=>this.useTagsAndQueries(s));e.options.highlight=function(s,n){if(n&&window.hljs.getLanguage(n))try{return'<pre class="hljs"><code>'+window.hljs.highlight(s,{language:n,ignoreIllegals:!0}).value+"</code></pre>"}catch{}return'<pre class="hljs"><code>'+e.utils.escapeHtml(s)+"</code></pre>"},this.md=e}useTagsAndQueries(c){c.inline.ruler.before("emphasis","hashtag",(s,r)=>{if(s.src.charCodeAt(s.pos)!==35||s.pos>0&&!/\s/.test(s.src[s.pos-1]))return!1;const l=/^#([\p{L}_][\p{L}\p{N}_\-/]*)/u.exec(s.src.slice(s.pos));if(!l)return!1;if(!r){const d=s.push("hashtag","",0);d.content=l[1].replace(/\/+$/,"")}return s.pos+=l[0].length,!0}),c.renderer.rules.hashtag=(s,r)=>{const l=c.utils.escapeHtml(s[r].content);return`<a href="#" class="tag" data-tag="${l.toLowerCase()}">#${l}</a>`};const o=c.renderer.rules.fence;c.renderer.rules.fence=(s,r,l,d,h)=>s[r].info.trim().toLowerCase()==="query"?this.renderQueryBlock(s[r].content):o(s,r,l,d,h)}runNoteQuery(c){const o={search:[],where:[],sort:"modified",order:"desc",limit:1/0,view:"list",fields:[]};c.split(`
+`).forEach(e=>{const t=e.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);if(!t||e.trim().startsWith("#"))return;const n=t[1].toLowerCase(),i=t[2];switch(n){case"tag":case"tags":case"folder":i.split(",").map(a=>a.trim()).filter(Boolean).forEach(a=>{const u=a.startsWith("-");o.search.push(`${u?"-":""}${n==="folder"?"folder":"tag"}:"${a.replace(/^-/,"").replace(/^#/,"")}"`)});break;case"created":case"modified":o.search.push(`${n}:${i.replace(/\s+/g,"")}`);break;case"search":o.search.push(i);break;case"where":{const a=i.match(/^([\w-]+)\s*(!=|>=|<=|=|>|<|contains|!contains)\s*(.*)$/i);if(!a)throw new Error(`Cannot read condition "${i}"`);o.where.push({field:a[1].toLowerCase(),op:a[2].toLowerCase(),value:a[3].replace(/^['"]|['"]$/g,"")});break}case"sort":{const[a,u]=i.split(/\s+/);o.sort=(a||"modified").toLowerCase(),o.order=(u||(o.sort==="title"?"asc":"desc")).toLowerCase();break}case"limit":o.limit=parseInt(i,10)||1/0;break;case"view":o.view=i.toLowerCase()==="table"?"table":"list";break;case"fields":o.fields=i.split(",").map(a=>a.trim().toLowerCase()).filter(Boolean);break;default:throw new Error(`Unknown query option "${t[1]}"`)}});const s=(e,t)=>{switch(t){case"title":return e.title;case"folder":return e.folder||"root";case"tags":return e.getTags();case"modified":return e.modified;case"created":return Date.parse(e.parseMetadata().created)||e.created;default:return e.parseMetadata()[t]}},r=(e,t)=>{const n=typeof e=="number"?e:Number(e),i=typeof e=="number"&&typeof t=="string"&&Date.parse(t)||Number(t);return e!==""&&t!==""&&!isNaN(n)&&!isNaN(i)?n-i:String(e??"").toLowerCase().localeCompare(String(t??"").toLowerCase())},l=(e,t)=>{const n=s(e,t.field);if(t.op==="contains"||t.op==="!contains"){const a=Array.isArray(n)?n.some(u=>String(u).toLowerCase()===t.value.toLowerCase()):String(n??"").toLowerCase().includes(t.value.toLowerCase());return t.op==="contains"?a:!a}if(Array.isArray(n))return t.op==="="?n.some(a=>r(a,t.value)===0):t.op==="!="?!n.some(a=>r(a,t.value)===0):!1;if(n===void 0)return t.op==="!=";const i=r(n,t.value);return{"=":i===0,"!=":i!==0,">":i>0,"<":i<0,">=":i>=0,"<=":i<=0}[t.op]},d=o.search.join(" ").trim(),h=(d?this.searchIndex.search(d).map(e=>this.notes[e.id]):Object.values(this.getIndexedNotes())).filter(e=>e&&o.where.every(t=>l(e,t))).sort((e,t)=>{const n=s(e,o.sort),i=s(t,o.sort);return(n===void 0||i===void 0?(n===void 0)-(i===void 0):(o.order==="asc"?1:-1)*r(n,i))||e.title.localeCompare(t.title)});return{options:o,notes:h.slice(0,o.limit),valueOf:s}}renderQueryBlock(c){let o;try{o=this.runNoteQuery(c)}catch(e){return`<div class="query-error">Query error: ${this.escapeHtml(e.message)}</div>`}const{options:s,notes:r,valueOf:l}=o;if(r.length===0)return'<div class="query-empty">No notes match this query.</div>';const d=(e,t)=>{const n=l(e,t);return t==="modified"||t==="created"?new Date(n).toLocaleDateString():Array.isArray(n)?n.map(i=>this.escapeHtml(String(i))).join(", "):this.escapeHtml(n==null?"":String(n))},h=e=>`<a href="#" class="wikilink" data-link="${e.id}">${this.escapeHtml(e.title)}</a>`;if(s.view==="table"){const e=s.fields.length>0?s.fields:["folder","modified"];return`<table class="query-results"><thead><tr><th>Note</th>${e.map(t=>`<th>${this.escapeHtml(t)}</th>`).join("")}</tr></thead><tbody>${r.map(t=>`<tr><td>${h(t)}</td>${e.map(n=>`<td>${d(t,n)}</td>`).join("")}</tr>`).join("")}</tbody></table>`}return`<ul class="query-results">${r.map(e=>`<li>${h(e)}${s.fields.length?` <span class="query-fields">${s.fields.map(t=>d(e,t)).filter(Boolean).join(" · ")}</span>`:""}</li>`).join("")}</ul>`}bindPyodideStatus(){this.pyodideManager.setStatusCallback((t,e)=>{const s=document.getElementById("pyodideStatus"),n=s.querySelector(".status-text");!s||!n||(s.className="pyodide-status",s.classList.add(t),n.textContent=e)})}bindWebRStatus(){this.webRManager.setStatusCallback((t,e)=>{const s=document.getElementById("webRStatus");if(!s)return;const n=s.querySelector(".status-text");n&&(s.className="webr-status",s.classList.add(t),n.textContent=e)})}async loadNotes(){let t;try{await this.noteStore.open(),t=await this.noteStore.getAllNotes(),t.length===0&&localStorage.getItem("pkm_notes")&&(t=Object.values(x.get("pkm_notes",{})),await this.noteStore.saveNotes(t),await this.verifyMigration(t)&&localStorage.removeItem("pkm_notes"),console.log(`📦 Migrated ${t.length} notes from localStorage to IndexedDB`))}catch(n){console.error("IndexedDB unavailable, falling back to localStorage:",n),this.noteStore=null,t=Object.values(x.get("pkm_notes",{}))}const e={};return t.forEach(n=>{const o=new N(n.title,n.content||"");Object.assign(o,n),o.content.startsWith("---")||(o.content=o.generateDefaultContent(o.title)+o.content),e[o.id]=o,this.savedSnapshots.set(o.id,JSON.stringify(o))}),e}async verifyMigration(e){const n=new Set((await this.noteStore.getAllNotes()).map(t=>t.id));return e.every(t=>n.has(t.id))}async init(){await this.waitForDependencies(),this.notes=await this.loadNotes(),this.searchIndex.rebuild(this.getIndexedNotes()),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),Object.keys(this.notes).length===0&&(x.get("pkm_has_loaded_before",!1)||(this.notes=await this.createDefaultNotes(),this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),x.set("pkm_has_loaded_before",!0))),this.setupTheme(),this.bindGlobalEvents(),this.setupExecutionToggles(),this.renderNoteList(),this.loadInitialEditorState(),this.updateRightSidebar(),new mt("toggle-right-sidebar",".main"),this.showWelcomeModal(),this.restoreFolderSync(),document.addEventListener("click",t=>{t.target.closest(".context-menu")||this.hideContextMenu()}),document.querySelector(".sidebar").addEventListener("contextmenu",t=>{t.target.closest(".note-item")||(t.preventDefault(),this.showContextMenu(t,{type:"sidebar"}))})}async waitForDependencies(){return new Promise(t=>{const e=()=>{window.markdownit&&window.DOMPurify&&window.hljs&&window.d3?t():setTimeout(e,100)};e()})}async createDefaultNotes(){const t={};try{const e=await fetch("content/manifest.json");if(!e.ok)throw new Error(`Failed to fetch manifest.json: ${e.statusText}`);const s=await e.json(),n=(a,c="")=>{let d=[];for(const p in a){const h=a[p];if(Array.isArray(h))h.forEach(u=>{let g,l;p==="root"?(g=u,l="root"):(g=c?`${c}${p}/${u}`:`${p}/${u}`,l=c?`${c}${p}`:p),d.push({filePath:g,folder:l})});else if(typeof h=="object"&&h!==null){const u=c?`${c}${p}/`:`${p}/`;d=d.concat(n(h,u))}}return d},o=n(s.defaultNotes);if(!o||o.length===0)return{};const i=o.map(a=>fetch(`content/${a.filePath}`).then(c=>c.ok?c.text().then(d=>({content:d,fileInfo:a,error:!1})):{content:`# Error: ${c.statusText}`,fileInfo:a,error:!0}).catch(c=>({content:`# Network Error: ${c.message}`,fileInfo:a,error:!0})));(await Promise.all(i)).forEach(a=>{const{content:c,fileInfo:d,error:p}=a;let h=d.filePath.split("/").pop().replace(/\.(md|txt)$/i,"");if(!p){const g=c.match(/^---\n([\s\S]*?)\n---/);if(g){const l=g[1].match(/^title:\s*(.+)$/m);l&&(h=l[1].replace(/^['"]|['"]$/g,"").trim())}}const u=new N(h,c);u.folder=d.folder,t[u.id]=u})}catch(e){console.error("Error creating default notes:",e);const s=new N("Error Loading Notes",`Error: ${e.message}`);s.folder="root",t[s.id]=s}return t}setupTheme(){document.documentElement.setAttribute("data-theme",this.settings.theme)}updateHistoryButtons(){const t=document.getElementById("backBtn"),e=document.getElementById("forwardBtn");!t||!e||(t.disabled=this.historyIndex<=0,e.disabled=this.historyIndex>=this.history.length-1)}addHistoryEntry(t){if(this.isNavigating)return;const e=this.history[this.historyIndex];e&&e.noteId===t||(this.historyIndex<this.history.length-1&&(this.history=this.history.slice(0,this.historyIndex+1)),this.history.push({noteId:t}),this.historyIndex=this.history.length-1,this.updateHistoryButtons())}navigateBack(){if(this.historyIndex>0){this.isNavigating=!0,this.historyIndex--;const t=this.history[this.historyIndex];this.openNote(t.noteId,!1),this.isNavigating=!1,this.updateHistoryButtons()}}navigateForward(){if(this.historyIndex<this.history.length-1){this.isNavigating=!0,this.historyIndex++;const t=this.history[this.historyIndex];this.openNote(t.noteId,!1),this.isNavigating=!1,this.updateHistoryButtons()}}bindGlobalEvents(){document.getElementById("newNoteBtn").addEventListener("click",()=>this.createNote()),document.getElementById("backBtn").addEventListener("click",()=>this.navigateBack()),document.getElementById("forwardBtn").addEventListener("click",()=>this.navigateForward()),document.getElementById("themeBtn").addEventListener("click",()=>this.toggleTheme()),document.getElementById("graphViewBtn").addEventListener("click",()=>this.openView("view:graph")),document.getElementById("refactorBtn").addEventListener("click",()=>this.openView("view:refactor")),document.getElementById("journalBtn").addEventListener("click",t=>{t.stopPropagation(),this.showJournalMenu()}),document.getElementById("syncBtn").addEventListener("click",t=>{t.stopPropagation(),this.showSyncMenu()}),document.getElementById("importBtn").addEventListener("click",()=>this.importFiles()),document.getElementById("exportBtn").addEventListener("click",()=>this.exportNotes()),document.getElementById("searchInput").addEventListener("input",R(t=>this.searchNotes(t.target.value),300)),document.getElementById("fileInput").addEventListener("change",t=>this.handleFileImport(t)),document.getElementById("tagPaneHeader").addEventListener("click",()=>{const t=document.querySelector(".sidebar").classList.toggle("tags-collapsed");x.set("pkm_tags_collapsed",t)}),x.get("pkm_tags_collapsed",!1)&&document.querySelector(".sidebar").classList.add("tags-collapsed"),document.getElementById("noteListHeader").addEventListener("contextmenu",t=>{t.preventDefault(),t.stopPropagation(),this.showContextMenu(t,{type:"header"})})}setupExecutionToggles(){const t=document.getElementById("python-toggle"),e=document.getElementById("r-toggle");t.checked=this.settings.pythonEnabled,e.checked=this.settings.rEnabled,this.settings.pythonEnabled&&this.initializePyodide(),this.settings.rEnabled&&this.initializeWebR(),t.addEventListener("change",s=>{this.settings.pythonEnabled=s.target.checked,this.saveSettings(),s.target.checked?this.initializePyodide():(this.pyodideManager=null,this.updatePyodideStatus("disabled","Disabled"))}),e.addEventListener("change",s=>{this.settings.rEnabled=s.target.checked,this.saveSettings(),s.target.checked?this.initializeWebR():(this.webRManager=null,this.updateWebRStatus("disabled","Disabled"))})}initializePyodide(){if(this.pyodideManager||window.loadPyodide)return;this.updatePyodideStatus("loading","Loading...");const t=document.createElement("script");t.src="https://cdn.jsdelivr.net/pyodide/v0.25.1/full/pyodide.js",t.onload=()=>{this.pyodideManager=new ct,this.bindPyodideStatus()},t.onerror=()=>{this.updatePyodideStatus("error","Load Failed")},document.head.appendChild(t)}initializeWebR(){this.webRManager||(this.updateWebRStatus("loading","Loading..."),this.webRManager=new ht,this.bindWebRStatus())}updatePyodideStatus(t,e){const s=document.getElementById("pyodideStatus"),n=s.querySelector(".status-text");!s||!n||(s.className="pyodide-status",s.classList.add(t),n.textContent=e)}updateWebRStatus(t,e){const s=document.getElementById("webRStatus"),n=s.querySelector(".status-text");!s||!n||(s.className="webr-status",s.classList.add(t),n.textContent=e)}loadInitialEditorState(){if(this.openTabs.length>0&&this.activeTabIndex>-1)this.renderEditor();else if(Object.keys(this.notes).length>0){const t=Object.values(this.notes).sort((e,s)=>s.modified-e.modified);t[0]&&this.openNote(t[0].id)}else{const t=document.getElementById("editorPanesContainer");t.innerHTML='<div class="empty-state"><h3>Welcome</h3><p>Select a note or create a new one.</p></div>'}}openNote(t,e=!0){const s=this.openTabs.findIndex(n=>n===t);s>-1?this.activeTabIndex=s:(this.openTabs.push(t),this.activeTabIndex=this.openTabs.length-1),e&&this.addHistoryEntry(t),this.renderEditor(),this.updateActiveNoteInSidebar(),this.updateRightSidebar(),this.saveTabsState()}closeTab(t){this.openTabs.splice(t,1),this.activeTabIndex>=t&&this.activeTabIndex>0?this.activeTabIndex--:this.openTabs.length===0?this.activeTabIndex=-1:this.activeTabIndex>=this.openTabs.length&&(this.activeTabIndex=this.openTabs.length-1),this.renderEditor(),this.updateActiveNoteInSidebar(),this.updateRightSidebar(),this.saveTabsState()}async createNote(){const t=await this.pickTemplate();t!==void 0&&this.createNoteFromTemplate("Untitled",t)}async createNoteWithTitle(t){const e=Object.values(this.notes).find(n=>n.title.toLowerCase()===t.toLowerCase());if(e){this.openNote(e.id);return}const s=await this.pickTemplate(t);s!==void 0&&this.createNoteFromTemplate(t,s)}getTemplates(){return Object.values(this.notes).filter(s=>this.isTemplate(s)).sort((s,t)=>s.title.localeCompare(t.title))}isTemplate(t){const e=this.settings.templatesFolder||"Templates";return t.folder===e||(t.folder||"").startsWith(e+"/")}getIndexedNotes(){return Object.fromEntries(Object.entries(this.notes).filter(([,t])=>!this.isTemplate(t)))}renderTemplate(e,s,t=new Date){const i=r=>r.replace(/\{\{\s*(date|time|title)(?::([^}]*))?\s*\}\}/gi,(c,d,h)=>d.toLowerCase()==="title"?s:At(t,h?h.trim():d.toLowerCase()==="time"?"HH:mm":"YYYY-MM-DD")),o=e.content.match(/^---\n([\s\S]*?)\n---/);let n=o?`---
+${i(o[1])}
+---${i(e.content.slice(o[0].length))}`:`---
+title: ${s}
+tags: []
+---
+
+${i(e.content)}`;n=this.setFrontmatterField(this.setFrontmatterField(n,"title",s),"created",t.toISOString());const a=n.search(/\{\{\s*cursor\s*\}\}/i);return{content:n.replace(/\{\{\s*cursor\s*\}\}/gi,""),cursor:a}}createNoteFromTemplate(e,s,t,i=new Date){const o=new N(e),n=s?this.renderTemplate(s,e,i):null;return n&&o.update(n.content),t&&t!=="root"&&(o.folder=t),this.notes[o.id]=o,this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.saveNotes(),this.renderNoteList(),this.openNote(o.id),n&&n.cursor>-1&&this.editor&&(this.editor.setCursor(this.convertToDisplayFormat(o.content.slice(0,n.cursor)).length),this.editor.focus()),o}pickTemplate(e=""){const s=this.getTemplates();return s.length?new Promise(t=>{const i=document.createElement("div");i.className="confirm-overlay",i.innerHTML=`
+      <div class="confirm-modal">
+        <div class="confirm-modal-header">New Note${e?`: ${this.escapeHtml(e)}`:""}</div>
+        <div class="confirm-modal-body template-picker">
+          <button class="context-menu-item" data-index="-1">📄 Blank note</button>
+          ${s.map((o,n)=>`<button class="context-menu-item" data-index="${n}">🧩 ${this.escapeHtml(o.title)}</button>`).join("")}
+        </div>
+        <div class="confirm-modal-footer">
+          <button class="confirm-btn secondary" data-action="cancel">Cancel</button>
+        </div>
+      </div>`,document.body.appendChild(i),i.querySelector(".context-menu-item").focus(),i.addEventListener("click",o=>{const n=o.target.closest("[data-index], [data-action]");n&&(i.remove(),t(n.dataset.action?void 0:s[+n.dataset.index]||null))})}):Promise.resolve(null)}getPeriodicSettings(e){return{folder:Mt[e].folder,template:"",...(this.settings.periodicNotes||{})[e]}}getPeriodicInfo(e){const s=Object.keys(Mt).find(t=>(e.folder||"root")===this.getPeriodicSettings(t).folder&&Mt[t].pattern.test(e.title));return s?{kind:s,notes:Object.values(this.notes).filter(t=>(t.folder||"root")===this.getPeriodicSettings(s).folder&&Mt[s].pattern.test(t.title)).sort((t,i)=>t.title.localeCompare(i.title))}:null}openPeriodicNote(e,s=new Date){const t=this.getPeriodicSettings(e),i=At(s,Mt[e].format),o=Object.values(this.notes).find(n=>(n.folder||"root")===t.folder&&n.title===i);o?this.openNote(o.id):this.createNoteFromTemplate(i,this.getTemplates().find(n=>n.title===t.template)||null,t.folder,s)}stepPeriodicNote(e,s){const t=this.getPeriodicInfo(e);if(!t)return;const i=t.notes[t.notes.indexOf(e)+s];i&&this.openNote(i.id)}updatePeriodicNav(e){const s=document.querySelector("#editorPanesContainer .periodic-nav"),t=this.getPeriodicInfo(e);if(!s||(s.hidden=!t,!t))return;const i=t.notes.indexOf(e),o=t.notes[i-1],n=t.notes[i+1];s.querySelector('[data-step="-1"]').disabled=!o,s.querySelector('[data-step="-1"]').title=o?`Previous: ${o.title}`:`No earlier ${Mt[t.kind].label.toLowerCase()} note`,s.querySelector('[data-step="1"]').disabled=!n,s.querySelector('[data-step="1"]').title=n?`Next: ${n.title}`:`No later ${Mt[t.kind].label.toLowerCase()} note`}showJournalMenu(){const e=document.createElement("div");e.className="context-menu",Object.assign(e.style,{position:"fixed",top:"50%",left:"50%",transform:"translate(-50%, -50%)",zIndex:"10000"}),e.innerHTML=`
+            ${Object.entries(Mt).map(([s,t])=>`<button class="context-menu-item" data-action="${s}">${t.icon} ${t.label} Note: ${At(new Date,t.format)}</button>`).join("")}
+            <div class="context-menu-separator"></div>
+            <button class="context-menu-item" data-action="settings">⚙️ Templates & Journal Settings...</button>
+            <button class="context-menu-item" data-action="cancel">❌ Cancel</button>
+        `,document.body.appendChild(e),e.addEventListener("click",s=>{const t=s.target.closest("[data-action]");t&&(e.remove(),Mt[t.dataset.action]?this.openPeriodicNote(t.dataset.action):t.dataset.action==="settings"&&this.showJournalSettings())})}showJournalSettings(){const e=document.createElement("div"),s=this.getTemplates(),t=this.getFolders(),i=a=>`<option value="">No template</option>${s.map(r=>`<option value="${this.escapeHtml(r.title).replace(/"/g,"&quot;")}" ${r.title===a?"selected":""}>${this.escapeHtml(r.title)}</option>`).join("")}`,o=a=>this.escapeHtml(a).replace(/"/g,"&quot;");e.className="confirm-overlay",e.innerHTML=`
+      <div class="confirm-modal journal-settings">
+        <div class="confirm-modal-header">Templates & Journal</div>
+        <div class="confirm-modal-body">
+          <label>Templates folder <input type="text" data-field="templates" list="journalFolders" value="${o(this.settings.templatesFolder||"Templates")}"></label>
+          <p class="journal-settings-hint">Notes in this folder are offered when you create a note. Use {{title}}, {{date}}, {{date:YYYY-MM-DD}}, {{time}} and {{cursor}} in them.</p>
+          ${Object.entries(Mt).map(([a,r])=>{const c=this.getPeriodicSettings(a);return`
+          <fieldset><legend>${r.label} notes</legend>
+            <label>Folder <input type="text" data-field="${a}-folder" list="journalFolders" value="${o(c.folder)}"></label>
+            <label>Template <select data-field="${a}-template">${i(c.template)}</select></label>
+          </fieldset>`}).join("")}
+          <datalist id="journalFolders">${t.map(a=>`<option value="${o(a)}"></option>`).join("")}</datalist>
+          <div class="prompt-modal-error"></div>
+        </div>
+        <div class="confirm-modal-footer">
+          <button class="confirm-btn secondary" data-action="cancel">Cancel</button>
+          <button class="confirm-btn primary" data-action="save">Save</button>
+        </div>
+      </div>`,document.body.appendChild(e);const n=a=>e.querySelector(`[data-field="${a}"]`);e.querySelector(".confirm-modal-footer").addEventListener("click",a=>{const r=a.target.dataset.action;if(r==="cancel")return e.remove();if(r!=="save")return;const c=["templates",...Object.keys(Mt).map(l=>`${l}-folder`)],d=c.map(l=>this.validateFolderName(n(l).value)).find(Boolean)||(this.normalizeFolderName(n("templates").value)==="root"?"The templates folder cannot be the root folder.":"");if(d)return e.querySelector(".prompt-modal-error").textContent=d;this.settings.templatesFolder=this.normalizeFolderName(n("templates").value),this.settings.periodicNotes=Object.fromEntries(Object.keys(Mt).map(l=>[l,{folder:this.normalizeFolderName(n(`${l}-folder`).value),template:n(`${l}-template`).value}])),this.saveSettings(),e.remove(),this.searchIndex.rebuild(this.getIndexedNotes()),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.renderNoteList(),this.updateRightSidebar();const h=this.notes[this.openTabs[this.activeTabIndex]];h&&this.updatePeriodicNav(h)})}saveTabsState(){x.set("pkm_open_tabs",this.openTabs),x.set("pkm_active_tab_index",this.activeTabIndex)}async deleteNote(t,e={}){let s=!0,n=!1;if(!this.settings.skipDeleteConfirm||e&&e.shiftKey){const i=this.notes[t]?.title||"this note",r=await this._showConfirmationModal({title:"Delete Note?",message:`Permanently delete "${i}"? This cannot be undone.`,confirmText:"Delete",confirmClass:"danger",showSkipCheckbox:!0});s=r.confirmed,n=r.skipFuture}if(!s)return;n&&(this.settings.skipDeleteConfirm=!0,this.saveSettings());const o=this.openTabs.findIndex(i=>i===t);o>-1&&this.closeTab(o),delete this.notes[t],this.clearExecutionState(t),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.saveNotes(),this.renderNoteList(),this.updateRightSidebar()}clearExecutionState(t){this.pyodideManager&&this.pyodideManager.pyodide&&this.pyodideManager.clearNoteState(t),this.webRManager&&this.webRManager.webR&&this.webRManager.clearNoteState(t).catch(e=>console.error("Could not clear R state:",e))}async moveNote(t){const e=this.notes[t];if(!e)return;const s=e.folder||"root",n=await this._showPromptModal({title:"Move Note",message:`Move "${this.escapeHtml(e.title)}" to which folder? Use / for subfolders and root for the top level.`,value:s,suggestions:this.getFolders(),confirmText:"Move",validate:a=>this.validateFolderName(a)});if(n===null)return;const b=this.normalizeFolderName(n);if(b===s)return;const r=this.titleClashes(e.title,t).find(a=>(a.folder||"root")===b),c=this.findBrokenLinks().filter(a=>a.note.id===t).length;if(r||c){const a=[r&&`"${this.escapeHtml(b)}" already has a note titled "${this.escapeHtml(e.title)}", so links by title will be ambiguous.`,c&&`This note has ${c} broken link${c===1?"":"s"}; see the Refactor panel.`].filter(Boolean);if(!(await this._showConfirmationModal({title:"Check Links",message:`${a.join("<br><br>")}<br><br>Move anyway?`,confirmText:"Move"})).confirmed)return}e.folder=b,e.modified=Date.now(),this.saveNotes(),this.renderNoteList()}async createFolder(){const t=this.getFolders(),s=await this._showPromptModal({title:"New Folder",message:"Folder name (use / for subfolders):",placeholder:"Projects/Web",suggestions:t,confirmText:"Create",validate:n=>this.validateFolderName(n)||(t.includes(this.normalizeFolderName(n))?"That folder already exists.":"")});if(s===null)return;const e=new N("Untitled");e.folder=this.normalizeFolderName(s),this.notes[e.id]=e,this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.saveNotes(),this.renderNoteList(),this.openNote(e.id)}_showConfirmationModal(t){return new Promise(e=>{const{title:s="Confirm",message:n="Are you sure?",confirmText:o="OK",cancelText:i="Cancel",confirmClass:r="primary",showSkipCheckbox:a=!1}=t,c=document.createElement("div");c.className="confirm-overlay";let d=a?`
+                <div class="confirm-modal-skip">
+                    <label><input type="checkbox" id="confirmSkipCheckbox"> Don't ask again</label>
+                </div>`:"";c.innerHTML=`
+                <div class="confirm-modal">
+                    <div class="confirm-modal-header">${s}</div>
+                    <div class="confirm-modal-body">${n}${d}</div>
+                    <div class="confirm-modal-footer">
+                        <button class="confirm-btn secondary" id="confirmCancelBtn">${i}</button>
+                        <button class="confirm-btn ${r}" id="confirmOkBtn">${o}</button>
+                    </div>
+                </div>`,document.body.appendChild(c);const p=document.getElementById("confirmOkBtn"),h=document.getElementById("confirmCancelBtn"),u=document.getElementById("confirmSkipCheckbox"),g=()=>c.remove(),l=()=>{g(),e({confirmed:!0,skipFuture:u?u.checked:!1})},m=()=>{g(),e({confirmed:!1,skipFuture:!1})};p.addEventListener("click",l),h.addEventListener("click",m)})}renderEditor(){const t=document.getElementById("editorPanesContainer");if(this.vaultGraph.destroy(),this.activeTabIndex===-1||this.openTabs.length===0){t.innerHTML='<div class="empty-state"><h3>Welcome</h3><p>Select a note or create one.</p></div>',this.editor&&(this.editor.destroy(),this.editor=null);return}const e=this.openTabs[this.activeTabIndex],s=this.notes[e],a=this.views[e];if(!s&&!a){this.closeTab(this.activeTabIndex);return}const n=this.openTabs.map((o,i)=>{const r=this.notes[o]?this.notes[o].title:this.views[o]&&this.views[o].title;return r?`<div class="editor-tab ${i===this.activeTabIndex?"active":""}" data-index="${i}">
+                        <span>${r}</span>
+                        <button class="tab-close-btn" data-index="${i}">×</button>
+                    </div>`:""}).join("");if(a){this.editor&&(this.editor.destroy(),this.editor=null),t.innerHTML=`
+                <div class="editor-container view-container">
+                    <div class="editor-tabs">${n}</div>
+                    <div class="view-pane"></div>
+                </div>`,a.render(t.querySelector(".view-pane")),this.bindTabEvents();return}if(this.editor)t.querySelector(".editor-tabs").innerHTML=n,this.editor.setContent(this.convertToDisplayFormat(s.content));else{t.innerHTML=`
+                <div class="editor-container">
+                    <div class="editor-tabs">${n}</div>
+                    ${this.getEditorHTML(s)}
+                </div>`;const o=t.querySelector(".codemirror-container");this.editor=new ft(o,this.convertToDisplayFormat(s.content),this.notes,i=>this.openNote(i),i=>this.createNoteWithTitle(i),[this.createBlockLinkCompletion(),this.createWikiLinkCompletion()]),this.editor.setOnContentChange(R(()=>{const i=this.notes[this.openTabs[this.activeTabIndex]];i&&(this.saveActiveNote(),this.updatePanePreview(t.querySelector(".editor-container"),i))},500)),this.bindEditorEvents()}this.updateEditorHeaderAndPreview(s),this.bindTabEvents()}openView(e){this.saveActiveNote(),this.openNote(e,!1)}renderGraphView(n){const t=this.graphFilters,a=Object.values(this.getIndexedNotes()),b=[...new Set(a.map(e=>e.folder||"root"))].sort(),r=[...new Set(a.flatMap(e=>e.getTags()))].sort(),o=(e,i)=>`<option value="${this.escapeHtml(e)}" ${e===i?"selected":""}>${this.escapeHtml(e)}</option>`;n.innerHTML=`
+            <div class="graph-view">
+                <div class="graph-toolbar">
+                    <input type="search" class="graph-search" data-filter="search" placeholder="Highlight notes (search syntax)..." value="${this.escapeHtml(t.search)}">
+                    <select data-filter="folder"><option value="">All folders</option>${b.map(e=>o(e,t.folder)).join("")}</select>
+                    <select data-filter="tag"><option value="">All tags</option>${r.map(e=>o(e,t.tag)).join("")}</select>
+                    <select data-filter="orphans">
+                        <option value="">All notes</option>
+                        <option value="hide" ${t.orphans==="hide"?"selected":""}>Hide orphans</option>
+                        <option value="only" ${t.orphans==="only"?"selected":""}>Only orphans</option>
+                    </select>
+                    <label>Modified <input type="date" data-filter="from" value="${t.from}"> – <input type="date" data-filter="to" value="${t.to}"></label>
+                    <button class="btn graph-unpin-btn" title="Release all pinned nodes (double-click a node to release just that one)">Unpin all</button>
+                </div>
+                <div class="graph-view-stats"></div>
+                <div class="graph-view-canvas"></div>
+                <div class="graph-legend"></div>
+            </div>`,n.querySelectorAll("[data-filter]").forEach(e=>{e.addEventListener(e.dataset.filter==="search"?"input":"change",e.dataset.filter==="search"?R(()=>{t.search=e.value,this.vaultGraph.highlightNodes(this.getGraphHighlight())},300):()=>{t[e.dataset.filter]=e.value,this.drawVaultGraph(n)})}),n.querySelector(".graph-unpin-btn").addEventListener("click",()=>this.vaultGraph.unpinAll()),requestAnimationFrame(()=>n.isConnected&&this.drawVaultGraph(n))}drawVaultGraph(n){this.vaultGraph.updateNotes(this.getIndexedNotes());const t=this.graphFilters,a=t.from?this.parseLocalDate(t.from):-1/0,r=t.to?this.parseLocalDate(t.to,1):1/0,o=new Set(this.vaultGraph.prepareVaultGraphData().links.flatMap(s=>[s.source,s.target])),e=new Set(Object.values(this.notes).filter(s=>{const c=s.folder||"root";return(!t.folder||c===t.folder||c.startsWith(t.folder+"/"))&&(!t.tag||s.getTags().some(d=>d===t.tag||d.startsWith(t.tag+"/")))&&(t.orphans!=="hide"||o.has(s.id))&&(t.orphans!=="only"||!o.has(s.id))&&s.modified>=a&&s.modified<r}).map(s=>s.id)),i=this.vaultGraph.createVaultGraph(n.querySelector(".graph-view-canvas"),e),l=i.communities.length;n.querySelector(".graph-view-stats").textContent=`${i.nodeCount} notes · ${i.linkCount} links · ${l} communit${l===1?"y":"ies"} · ${i.orphanCount} orphans`,n.querySelector(".graph-legend").innerHTML=i.communities.slice(0,10).map(s=>`<div class="graph-legend-item"><span class="graph-legend-swatch" style="background:${s.color}"></span>${this.escapeHtml(s.title)} <span class="graph-legend-size">${s.size}</span></div>`).join(""),this.vaultGraph.highlightNodes(this.getGraphHighlight())}parseLocalDate(t,e=0){const[n,s,i]=t.split("-").map(Number);return new Date(n,s-1,i+e).getTime()}getGraphHighlight(){const n=this.graphFilters.search.trim();return n?new Set(this.searchIndex.search(n).map(t=>t.id)):null}saveActiveNote(){if(!this.editor||this.activeTabIndex===-1)return;const t=this.openTabs[this.activeTabIndex],e=this.notes[t];if(!e)return;const s=this.convertToInternalFormat(this.editor.getContent());if(e.content!==s){const n=e.title;e.update(s,!0),n!==e.title?(this.handleNoteRename(e,n),this.renderNoteList(),this.renderEditor()):(this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.updateRightSidebar())}}bindTabEvents(){const t=document.getElementById("editorPanesContainer");t.querySelectorAll(".editor-tab").forEach(e=>{e.addEventListener("click",s=>{if(s.target.classList.contains("tab-close-btn"))return;const n=parseInt(e.dataset.index,10);this.activeTabIndex!==n&&(this.saveActiveNote(),this.activeTabIndex=n,this.renderEditor(),this.updateActiveNoteInSidebar(),this.updateRightSidebar(),this.saveTabsState())})}),t.querySelectorAll(".tab-close-btn").forEach(e=>{e.addEventListener("click",s=>{s.stopPropagation();const n=parseInt(e.dataset.index,10);this.closeTab(n)})})}updateEditorHeaderAndPreview(t){const s=document.getElementById("editorPanesContainer").querySelector(".editor-container");s&&(s.querySelector(".editor-title").textContent=t.title,s.querySelector(".run-all-btn").hidden=this.getCodeCells(t).length===0,this.updateRenameNotice(t),this.updatePeriodicNav(t),this.updatePanePreview(s,t))}getEditorHTML(t){const e=this.editorMode;return`
+            <div class="editor-header">
+                <div class="editor-title-wrapper">
+                    <div class="editor-title" title="${t.title}">${t.title}</div>
+                </div>
+                <div class="periodic-nav" hidden>
+                    <button class="btn" data-step="-1">‹</button>
+                    <button class="btn" data-step="1">›</button>
+                </div>
+                <button class="run-all-btn" title="Run all Python and R cells in this note, in order">▶▶ Run all</button>
+                <div class="editor-modes">
+                    <button class="mode-btn ${e==="edit"?"active":""}" data-mode="edit">Edit</button>
+                    <button class="mode-btn ${e==="split"?"active":""}" data-mode="split">Split</button>
+                    <button class="mode-btn ${e==="preview"?"active":""}" data-mode="preview">Preview</button>
+                </div>
+            </div>
+            <div class="rename-notice" hidden></div>
+            <div class="editor-content ${e}-mode">
+                <div class="editor-pane"><div class="codemirror-container"></div></div>
+                <div class="preview-pane"><div class="preview-content"></div></div>
+            </div>
+            <div class="status-bar"><span class="save-status">Saved</span></div>`}bindEditorEvents(){const t=document.querySelector(".editor-container");t&&(t.querySelector(".run-all-btn").addEventListener("click",e=>{e.stopPropagation();const s=this.notes[this.openTabs[this.activeTabIndex]];s&&this.runAllCells(s)}),t.querySelector(".periodic-nav").addEventListener("click",e=>{const s=this.notes[this.openTabs[this.activeTabIndex]],n=e.target.closest("[data-step]");e.stopPropagation(),s&&n&&this.stepPeriodicNote(s,+n.dataset.step)}),t.querySelector(".rename-notice").addEventListener("click",e=>{const s=this.notes[this.openTabs[this.activeTabIndex]],n=e.target.dataset.action;s&&(n==="review-rename"?this.reviewPendingRename(s.id):n==="dismiss-rename"&&(this.pendingRenames.delete(s.id),this.savePendingRenames(),this.updateRenameNotice(s)))}),t.querySelectorAll(".mode-btn").forEach(e=>{e.addEventListener("click",s=>{s.stopPropagation(),this.editorMode=e.dataset.mode,x.set("pkm_editor_mode",this.editorMode),t.querySelectorAll(".mode-btn").forEach(o=>o.classList.remove("active")),e.classList.add("active");const n=t.querySelector(".editor-content");n.className=`editor-content ${this.editorMode}-mode`})}))}updatePanePreview(t,e){const s=t.querySelector(".preview-content");if(!s)return;const n=[];this.previewDependencies=new Set,this.previewHasQuery=!1;const a=this.renderEmbeds(e.getContentWithoutMetadata(),[`${e.id}#`],n),o=/(```(?:python|r|R)\n[\s\S]*?\n```)/g,i=a.split(o);let r=0;const c=i.map(p=>{const h=p.startsWith("```python"),u=p.startsWith("```r")||p.startsWith("```R");if(h||u){const g=h?"python":"r",l=h?"PYTHON":"R",m="run-btn",b=p.replace(/^```(?:python|r|R)\n/,"").replace(/\n```$/,""),v=`code-${e.id}-${r}`,k=this.escapeHtml(b),$=(e.cellOutputs||{})[r],w=$?$.html:"",E=`<div class="code-container${$&&$.code!==b?" stale":""}" id="${v}" data-lang="${g}">
+                        <div class="code-header"><span>${l}</span><button class="${m}">▶ Run</button></div>
+                        <pre><code class="language-${g}">${k}</code></pre>
+                        <div class="code-output">${w}</div>
+                    </div>`;return r++,E}return/^```query\s*$/m.test(p)&&(this.previewHasQuery=!0),this.md.render(this.markBlockAnchors(p),{notes:this.notes})}).join("").replace(/<!--pkm-embed-(\d+)-->/g,(p,h)=>n[h]||"");if(!window.DOMPurify){console.error("DOMPurify not loaded."),s.textContent="Error: Preview renderer not loaded.";return}const d=window.DOMPurify.sanitize(c,{ADD_CLASSES:["wikilink","broken","embedded-block","embedded-block-source","block-anchor","tag","query-results","code-container","code-header","run-btn","code-output","language-python","language-r","output-error","spinner","hljs"]});s.innerHTML=d,this.bindPreviewEvents(t,e)}renderEmbeds(n,e,t){return n.replace(/(^|\n)(```|~~~)[^\n]*\n[\s\S]*?(?:\n\2[^\n]*|$)|(`+)[^\n]*?\3|!\[\[([^\]|#]+)(?:#([^\]|]+))?(?:\|([^\]]+))?\]\]/g,(a,r,b,w,j,d,l)=>{if(j===void 0)return a;!d&&l&&l.includes("#")&&([l,d]=l.split("#"));const h=j.trim(),i=this.notes[h]||Object.values(this.notes).find(u=>u.title.toLowerCase()===h.toLowerCase()),s=(d||"").trim(),o=u=>(t.push(u),`<!--pkm-embed-${t.length-1}-->`);if(!i)return o(`<div class="broken-embed">Note "${this.escapeHtml(h)}" not found</div>`);this.previewDependencies.add(i.id);const c=`${i.id}#${s}`;if(e.includes(c))return o(`<div class="broken-embed">Embed of "${this.escapeHtml(i.title)}${s?"#"+this.escapeHtml(s):""}" skipped: it would embed itself</div>`);if(e.length>8)return o(`<div class="broken-embed">Embed of "${this.escapeHtml(i.title)}${s?"#"+this.escapeHtml(s):""}" skipped: embeds are nested more than 8 levels deep</div>`);const p=s.startsWith("^")?i.getBlockContent(s.slice(1)):s?i.getHeadingSection(s):i.getContentWithoutMetadata();if(p===null)return o(`<div class="broken-embed">${s.startsWith("^")?`Block <code>${this.escapeHtml(s)}</code>`:`Heading "${this.escapeHtml(s)}"`} not found in "${this.escapeHtml(i.title)}"</div>`);const m=(l||i.title).trim(),g=this.md.render(this.markBlockAnchors(this.renderEmbeds(p,[...e,c],t)),{notes:this.notes}).replace(/<!--pkm-embed-(\d+)-->/g,(u,f)=>t[f]||"");return o(`<div class="embedded-block" data-embed-source="${i.id}">${g}<div class="embedded-block-source">From: <span class="wikilink" data-link="${i.id}${s?"#"+this.escapeHtml(s):""}">${this.escapeHtml(m)}${s&&!l?" › "+this.escapeHtml(s.replace(/^\^/,"")):""}</span></div></div>`)})}markBlockAnchors(n){let e=!1;return n.split(`
+`).map(t=>/^\s*(```|~~~)/.test(t)?(e=!e,t):e?t:t.replace(/(^|\s)\^([\w-]+)\s*$/,(a,r,d)=>`${r}<span class="block-anchor" data-block-id="${d}"></span>`)).join(`
+`)}refreshDependentPreview(n){const e=this.openTabs[this.activeTabIndex],t=this.notes[e];if(!t||!n.some(r=>r!==e&&(this.previewHasQuery||this.previewDependencies&&this.previewDependencies.has(r))))return;const a=document.querySelector("#editorPanesContainer .editor-container");a&&this.updatePanePreview(a,t)}scrollPreviewTo(n){requestAnimationFrame(()=>{const e=document.querySelector("#editorPanesContainer .preview-content");if(!e||!n)return;const t=n.startsWith("^")?e.querySelector(`[data-block-id="${CSS.escape(n.slice(1))}"]`)?.parentElement:[...e.querySelectorAll("h1, h2, h3, h4, h5, h6")].find(a=>a.textContent.trim().toLowerCase()===n.trim().toLowerCase());t&&(t.scrollIntoView({behavior:"smooth",block:"center"}),t.classList.add("block-highlight"),setTimeout(()=>t.classList.remove("block-highlight"),1500))})}async handleNoteRename(t,e){this.pendingRenames.has(t.id)||this.pendingRenames.set(t.id,e);const n=this.pendingRenames.get(t.id),i=n.trim().toLowerCase()===t.title.trim().toLowerCase()?[]:this.planLinkRewrite({id:t.id,title:n},{id:t.id,title:t.title});i.length===0&&this.pendingRenames.delete(t.id),this.savePendingRenames(),this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.updateRightSidebar()}savePendingRenames(){x.set("pkm_pending_renames",Object.fromEntries([...this.pendingRenames].filter(([t])=>this.notes[t])))}rewriteNoteLinks(t,e,n){return t.replace(/(!?)\[\[([^\]|#]+)(#[^\]|]*)?((?:\|[^\]]*)?)\]\]/g,(i,a,c,r="",l="")=>{const s=c.trim();if(s===e.id){const[,o="",...u]=l.split("|");return`${a}[[${n.id}${r}|${o.trim().toLowerCase()===e.title.trim().toLowerCase()?n.title:o}${u.map(h=>"|"+h).join("")}]]`}return!this.notes[s]&&s.toLowerCase()===e.title.trim().toLowerCase()?`${a}[[${n.title}${r}${l}]]`:i})}planLinkRewrite(t,e,n={}){return Object.values(this.notes).map(i=>{const a=[].concat(t).reduce((c,r)=>this.rewriteNoteLinks(c,r,e),n[i.id]??i.content);return a!==i.content?{note:i,before:i.content,after:a}:null}).filter(Boolean)}retitleContent(t,e,n){const i=new RegExp(`^#[ \\t]+${this.escapeRegExp(e)}[ \\t]*$`,"m"),a=t.replace(i,()=>`# ${n}`);return/^---\n[\s\S]*?\n---/.test(a)?this.setFrontmatterField(a,"title",n):`---
+title: ${n}
+---
+${a}`}validateNoteTitle(t){return t.trim()?/[[\]|#^]/.test(t)?"Titles cannot contain [ ] | # or ^.":"":"Title cannot be empty."}titleClashes(t,e){return Object.values(this.notes).filter(n=>n.id!==e&&n.title.trim().toLowerCase()===t.trim().toLowerCase())}async renameNote(t){const e=this.notes[t];if(!e)return;const n=await this._showPromptModal({title:"Rename Note",message:`New title for "${this.escapeHtml(e.title)}":`,value:e.title,confirmText:"Preview",validate:i=>this.validateNoteTitle(i)});n===null||n.trim()===e.title||this.previewRename(e,n.trim())}async previewRename(t,e){this.saveActiveNote();const n=[this.pendingRenames.get(t.id),t.title].filter(Boolean).map(l=>({id:t.id,title:l})),i=this.retitleContent(t.content,t.title,e),a=this.planLinkRewrite(n,{id:t.id,title:e},{[t.id]:i}),c=this.titleClashes(e,t.id);a.forEach(l=>l.required=l.note.id===t.id);const r=await this.showRefactorPreview({title:`Rename "${t.title}" → "${e}"`,message:c.length?`${c.length} other note${c.length===1?" is":"s are"} already titled "${this.escapeHtml(e)}". Links by title will become ambiguous.`:"",entries:a,confirmText:"Rename"});r&&(this.pendingRenames.delete(t.id),this.savePendingRenames(),this.applyRefactorEntries(r))}async reviewPendingRename(t){const e=this.notes[t],n=this.pendingRenames.get(t);if(!e||!n)return;this.saveActiveNote();const i=await this.showRefactorPreview({title:`Update links: "${n}" → "${e.title}"`,entries:this.planLinkRewrite({id:t,title:n},{id:t,title:e.title}),confirmText:"Update Links"});i&&(this.pendingRenames.delete(t),this.savePendingRenames(),this.applyRefactorEntries(i))}updateRenameNotice(t){const e=document.querySelector("#editorPanesContainer .rename-notice");if(!e)return;const n=this.pendingRenames.get(t.id),i=n?this.planLinkRewrite({id:t.id,title:n},{id:t.id,title:t.title}).length:0;e.hidden=!i,i&&(e.innerHTML=`Renamed from "${this.escapeHtml(n)}". ${i} note${i===1?" still uses":"s still use"} the old title in links.
+    <button class="btn" data-action="review-rename">Review link updates</button>
+    <button class="btn" data-action="dismiss-rename" title="Keep the existing link text">Dismiss</button>`)}planMerge(t,e){const n=new RegExp(`^\\s*#[ \\t]+${this.escapeRegExp(t.title)}[ \\t]*\\n`),i=t.getContentWithoutMetadata().replace(n,"").trim(),a=e.getFrontmatterTags(),c=t.getFrontmatterTags().filter(s=>!a.includes(s));let r=`${e.content.trimEnd()}
+
+## ${t.title}
+
+${i}
+`;c.length&&(r=/^---\n[\s\S]*?\n---/.test(r)?this.setFrontmatterField(r,"tags",`[${[...a,...c].join(", ")}]`):`---
+tags: [${c.join(", ")}]
+---
+${r}`);const l=this.planLinkRewrite({id:t.id,title:t.title},{id:e.id,title:e.title},{[e.id]:r}).filter(s=>s.note.id!==t.id);return l.forEach(s=>s.required=!0),l}async mergeNote(t){const e=this.notes[t];if(!e)return;const n=Object.values(this.notes).filter(c=>c.id!==t).map(c=>c.title).sort(),i=await this._showPromptModal({title:"Merge Note",message:`Merge "${this.escapeHtml(e.title)}" into which note?`,placeholder:"Note title",suggestions:n,confirmText:"Preview",validate:c=>this.titleClashes(c,t).length?"":"No note with that title."});if(i===null)return;const[a]=this.titleClashes(i,t);this.previewMerge(e.id,a.id)}async previewMerge(t,e){const n=this.notes[t],i=this.notes[e];if(!(!n||!i||n===i)){this.saveActiveNote();try{const a=await this.showRefactorPreview({title:`Merge "${n.title}" into "${i.title}"`,message:`"${this.escapeHtml(n.title)}" will be deleted after its content is appended to "${this.escapeHtml(i.title)}".`,entries:this.planMerge(n,i),confirmText:"Merge",confirmClass:"danger"});if(!a)return;const c=this.openTabs.indexOf(t);c>-1&&this.closeTab(c),delete this.notes[t],this.clearExecutionState(t),this.pendingRenames.delete(t),this.savePendingRenames(),this.mergeSelection=["",""],this.applyRefactorEntries(a)}catch(a){console.error("Merge failed:",a),this._showConfirmationModal({title:"Merge failed",message:this.escapeHtml(a.message||String(a)),confirmText:"OK",cancelText:"Close"})}}}showRefactorPreview({title:t,message:e="",entries:n,confirmText:i="Apply",confirmClass:a="primary"}){return new Promise(c=>{const r=document.createElement("div"),l=8;r.className="confirm-overlay",r.innerHTML=`
+      <div class="confirm-modal revision-modal refactor-modal">
+        <div class="confirm-modal-header">${this.escapeHtml(t)}</div>
+        <div class="confirm-modal-body">
+          ${e?`<div class="refactor-warning">${e}</div>`:""}
+          <div class="refactor-summary">${n.length?`${n.length} note${n.length===1?"":"s"} will change. Untick a note to leave it as it is.`:"No other notes reference this note."}</div>
+          <div class="refactor-preview-list">${n.map((s,o)=>{const u=vt(this.convertToDisplayFormat(s.before),this.convertToDisplayFormat(s.after)).filter(h=>h.type!=="same");return`
+            <div class="refactor-preview-item">
+              <label><input type="checkbox" data-index="${o}" checked ${s.required?"disabled":""}> <strong>${this.escapeHtml(s.note.title)}</strong> <span class="refactor-folder">${this.escapeHtml(s.note.folder||"root")}</span></label>
+              <div class="diff-view">${u.slice(0,l).map(h=>`<div class="diff-line diff-${h.type}">${h.type==="add"?"+":"-"} ${this.escapeHtml(h.text)}</div>`).join("")}${u.length>l?`<div class="diff-line diff-same">… ${u.length-l} more changed lines</div>`:""}</div>
+            </div>`}).join("")}</div>
+        </div>
+        <div class="confirm-modal-footer">
+          <button class="confirm-btn secondary" data-action="cancel">Cancel</button>
+          <button class="confirm-btn ${a}" data-action="apply">${i}</button>
+        </div>
+      </div>`,document.body.appendChild(r),r.querySelector(".confirm-modal-footer").addEventListener("click",s=>{const o=s.target.dataset.action;o&&(r.remove(),c(o==="apply"?n.filter((u,h)=>u.required||r.querySelector(`[data-index="${h}"]`).checked):null))})})}applyRefactorEntries(t){t.forEach(({note:e,after:n})=>this.notes[e.id]&&e.update(n,!0)),this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.renderNoteList(),this.renderEditor()}findBrokenLinks(){const t=Object.values(this.notes),e={},n=[];return t.forEach(i=>{const a=i.title.trim().toLowerCase();(e[a]=e[a]||[]).push(i)}),t.filter(i=>!this.isTemplate(i)).forEach(i=>{for(const[a,,c,r=""]of i.content.replace(/```[\s\S]*?```/g,"").matchAll(/(!?)\[\[([^\]|#]+)(#[^\]|]*)?(?:\|[^\]]*)?\]\]/g)){const l=c.trim(),s=this.notes[l]?[this.notes[l]]:e[l.toLowerCase()]||[];let o="";s.length===0?o=`No note titled "${l}"`:s.length>1?o=`Ambiguous: ${s.length} notes are titled "${s[0].title}"`:r.startsWith("#^")?s[0].getBlockContent(r.slice(2))===null&&(o=`Block ${r.slice(1)} not found in "${s[0].title}"`):r.length>1&&s[0].getHeadingSection(r.slice(1))===null&&(o=`Heading "${r.slice(1)}" not found in "${s[0].title}"`),o&&n.push({note:i,link:this.convertToDisplayFormat(a),target:l,problem:o,missing:s.length===0})}}),n}findDuplicateTitles(){const t={};return Object.values(this.getIndexedNotes()).forEach(e=>{const n=e.title.trim().toLowerCase();(t[n]=t[n]||[]).push(e)}),Object.values(t).filter(e=>e.length>1).map(e=>e.sort((n,i)=>n.created-i.created))}renderRefactorView(t){const e=Object.values(this.notes).sort((s,o)=>s.title.localeCompare(o.title)),n=s=>e.map(o=>`<option value="${o.id}" ${o.id===s?"selected":""}>${this.escapeHtml(o.title)}${o.folder&&o.folder!=="root"?` (${this.escapeHtml(o.folder)})`:""}</option>`).join(""),i=this.findBrokenLinks(),a=this.findDuplicateTitles(),c=[...this.pendingRenames].filter(([s])=>this.notes[s]),r=s=>`<a href="#" data-action="open" data-note-id="${s.id}">${this.escapeHtml(s.title)}</a>`;t.innerHTML=`
+    <div class="refactor-view">
+      <div class="prompt-modal-error" data-field="error"></div>
+      <section class="refactor-section">
+        <h3>Rename</h3>
+        ${c.map(([s,o])=>`<div class="refactor-row">"${this.escapeHtml(o)}" was renamed to ${r(this.notes[s])} <button class="btn" data-action="review-rename" data-note-id="${s}">Review link updates</button></div>`).join("")}
+        <div class="refactor-row"><select data-field="rename-note">${n(this.openTabs.find(s=>this.notes[s]))}</select> to <input type="text" data-field="rename-title" placeholder="New title"> <button class="btn" data-action="preview-rename">Preview</button></div>
+      </section>
+      <section class="refactor-section">
+        <h3>Merge</h3>
+        <div class="refactor-row">Merge <select data-field="merge-source">${n(this.mergeSelection[0])}</select> into <select data-field="merge-target">${n(this.mergeSelection[1])}</select> <button class="btn" data-action="preview-merge">Preview</button></div>
+      </section>
+      <section class="refactor-section">
+        <h3>Broken links <span class="tag-count">${i.length}</span></h3>
+        ${i.length?`<table class="refactor-table"><thead><tr><th>In note</th><th>Link</th><th>Problem</th><th></th></tr></thead><tbody>${i.map(s=>`
+          <tr><td>${r(s.note)}</td><td><code>${this.escapeHtml(s.link)}</code></td><td>${this.escapeHtml(s.problem)}</td><td>${s.missing?`<button class="btn" data-action="create" data-title="${encodeURIComponent(s.target)}">Create note</button>`:""}</td></tr>`).join("")}</tbody></table>`:'<div class="word-count-display">No broken links.</div>'}
+      </section>
+      <section class="refactor-section">
+        <h3>Duplicate titles <span class="tag-count">${a.length}</span></h3>
+        ${a.length?a.map(s=>`
+          <div class="refactor-row"><strong>${this.escapeHtml(s[0].title)}</strong> in ${s.map(o=>`<a href="#" data-action="open" data-note-id="${o.id}">${this.escapeHtml(o.folder||"root")}</a>`).join(", ")}
+            <button class="btn" data-action="merge-dupe" data-source="${s[s.length-1].id}" data-target="${s[0].id}">Merge newest into oldest</button></div>`).join(""):'<div class="word-count-display">Every title is unique.</div>'}
+      </section>
+    </div>`;const l=s=>t.querySelector(`[data-field="${s}"]`);l("merge-source").addEventListener("change",s=>this.mergeSelection[0]=s.target.value),l("merge-target").addEventListener("change",s=>this.mergeSelection[1]=s.target.value),t.querySelector(".refactor-view").addEventListener("click",s=>{const o=s.target.closest("[data-action]");if(!o)return;s.preventDefault();const{action:u,noteId:h}=o.dataset;switch(u){case"open":this.openNote(h);break;case"review-rename":this.reviewPendingRename(h);break;case"preview-rename":{const p=this.notes[l("rename-note").value],d=l("rename-title").value.trim(),m=this.validateNoteTitle(d);if(!p)break;l("error").textContent=m,m||d!==p.title&&this.previewRename(p,d);break}case"preview-merge":l("error").textContent=l("merge-source").value===l("merge-target").value?"Pick two different notes to merge.":"",l("error").textContent||this.previewMerge(l("merge-source").value,l("merge-target").value);break;case"merge-dupe":this.previewMerge(o.dataset.source,o.dataset.target);break;case"create":this.createNoteWithTitle(decodeURIComponent(o.dataset.title));break}})}linkMention(t,e,n,i){const a=this.notes[t],c=this.notes[i];if(!a||!c)return;const r=a.content.substr(e,n);if(r.trim().toLowerCase()!==c.title.trim().toLowerCase())return this.updateRightSidebar();a.update(`${a.content.slice(0,e)}[[${c.id}|${r}]]${a.content.slice(e+n)}`,!0),this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.updateRightSidebar()}_showPromptModal({title:t="Input",message:e="",value:n="",placeholder:i="",suggestions:a=[],confirmText:c="OK",validate:r=()=>""}){return new Promise(l=>{const s=document.createElement("div");s.className="confirm-overlay",s.innerHTML=`
+      <div class="confirm-modal">
+        <div class="confirm-modal-header">${t}</div>
+        <div class="confirm-modal-body">
+          <label class="prompt-modal-label">${e}</label>
+          <input type="text" class="prompt-modal-input" list="promptModalOptions" placeholder="${this.escapeHtml(i)}">
+          <datalist id="promptModalOptions">${a.map(d=>`<option value="${this.escapeHtml(d).replace(/"/g,"&quot;")}"></option>`).join("")}</datalist>
+          <div class="prompt-modal-error"></div>
+        </div>
+        <div class="confirm-modal-footer">
+          <button class="confirm-btn secondary" data-action="cancel">Cancel</button>
+          <button class="confirm-btn primary" data-action="ok">${c}</button>
+        </div>
+      </div>`,document.body.appendChild(s);const o=s.querySelector(".prompt-modal-input"),u=s.querySelector(".prompt-modal-error"),h=d=>{s.remove(),l(d)},p=()=>{const d=r(o.value);d?u.textContent=d:h(o.value)};o.value=n,o.focus(),o.select(),o.addEventListener("input",()=>u.textContent=""),o.addEventListener("keydown",d=>{d.key==="Enter"?(d.preventDefault(),p()):d.key==="Escape"&&h(null)}),s.querySelector(".confirm-modal-footer").addEventListener("click",d=>{d.target.dataset.action==="ok"?p():d.target.dataset.action==="cancel"&&h(null)})})}normalizeFolderName(t){return t.trim().replace(/\\/g,"/").split("/").map(e=>e.trim()).filter(Boolean).join("/")||"root"}validateFolderName(t){const e=t.trim().replace(/\\/g,"/").split("/").map(n=>n.trim()).filter(Boolean);return e.length?e.some(n=>n==="."||n===".."||/[:*?"<>|]/.test(n))?'Folder names cannot be "." or ".." or contain : * ? " < > |':"":"Enter a folder name."}getFolders(){return[...new Set(Object.values(this.notes).map(t=>t.folder||"root"))].sort()}base64ToBlob(t,e="image/png"){const s=atob(t),n=[];for(let o=0;o<s.length;o+=512){const i=s.slice(o,o+512),r=new Array(i.length);for(let a=0;a<i.length;a++)r[a]=i.charCodeAt(a);n.push(new Uint8Array(r))}return new Blob(n,{type:e})}async copyTextToClipboard(t,e){try{await navigator.clipboard.writeText(t),e&&(e.textContent="Copied!")}catch(s){console.warn("Clipboard API failed, falling back.",s);const n=document.createElement("textarea");n.value=t,n.style.position="fixed",n.style.opacity="0",document.body.appendChild(n),n.select();try{document.execCommand("copy")&&e&&(e.textContent="Copied!")}catch{e&&(e.textContent="Error")}document.body.removeChild(n)}finally{e&&setTimeout(()=>{e.classList.contains("copy-output-btn")?e.textContent="Copy":e.classList.contains("copy-plot-btn")&&(e.textContent="Copy Image")},2e3)}}bindPreviewEvents(t,l){let s=0;t.querySelectorAll(".code-container").forEach(n=>{const o=s++,i=n.dataset.lang,r=n.querySelector(".run-btn"),p=n.querySelector(".code-output");if(!r)return;const a=r.cloneNode(!0);r.parentNode.replaceChild(a,r),a.addEventListener("click",async()=>{const d=n.querySelector(`code.language-${i}`);if(!d){p.innerHTML='<pre class="output-error">No code found</pre>';return}p.innerHTML='<div class="spinner">⏳ Executing...</div>',a.disabled=!0,a.textContent="⏳ Running...";try{p.innerHTML=(await this.executeCell(l,o,i,d.textContent)).html,n.classList.remove("stale")}finally{a.disabled=!1,a.textContent="▶ Run"}}),p.addEventListener("click",d=>this.handleOutputAction(d,l,o))}),t.querySelectorAll("a.tag").forEach(n=>{n.addEventListener("click",o=>{o.preventDefault(),o.stopPropagation(),this.filterByTag(n.dataset.tag)})}),t.querySelectorAll(".wikilink").forEach(n=>{n.addEventListener("click",o=>{o.preventDefault(),o.stopPropagation();const[i,r]=n.dataset.link.split("#"),p=this.notes[i]||Object.values(this.notes).find(a=>a.title.toLowerCase()===i.trim().toLowerCase());p?(this.openNote(p.id),r&&this.scrollPreviewTo(r)):i&&this.createNoteWithTitle(i)})})}handleOutputAction(e,r,o){const t=e.target,s=(r.cellOutputs||{})[o];if(t.matches(".copy-output-btn"))this.copyTextToClipboard(s&&s.rawText||"",t);else if(t.matches(".copy-plot-btn")){const n=this.base64ToBlob(t.dataset.plotBase64);navigator.clipboard.write([new ClipboardItem({"image/png":n})]).then(()=>{t.textContent="Copied!",setTimeout(()=>{t.textContent="Copy Image"},2e3)}).catch(i=>{console.error("Failed to copy image:",i),t.textContent="Error!"})}else if(t.matches(".download-plot-btn")){const n=document.createElement("a");n.href=URL.createObjectURL(this.base64ToBlob(t.dataset.plotBase64)),n.download=t.dataset.filename,n.click()}}getCodeCells(e){return[...e.getContentWithoutMetadata().matchAll(/```(python|r|R)\n([\s\S]*?)\n```/g)].map(r=>({lang:r[1]==="python"?"python":"r",code:r[2]}))}async executeCell(e,r,o,t){const s=o==="python"?this.pyodideManager:this.webRManager;if(!s)return{html:`<pre class="output-error">${o==="python"?"Python environment is not enabled. Use the 🐍 toggle to enable it.":"R environment is not enabled. Use the ®️ toggle to enable it."}</pre>`,error:!0};let n;try{await s.installPackages(e.getPackages(o));const i=await this.resolveNoteImports(e,t,o);if(o==="python"){const a=await s.executeCode(t,e.id,r,i);n={...s.formatOutput(a.result,a.stdout,a.executionNumber,a.plots),executionNumber:a.executionNumber}}else{const a=await s.executeCode(t,e.id,i);n={...s.formatOutput(a),executionNumber:a.executionNumber,error:a.error}}}catch(i){const a=i.message||i.toString();n={html:`<pre class="output-error">${this.escapeHtml(a)}</pre>`,rawText:a,error:!0}}return e.cellOutputs={...e.cellOutputs,[r]:{lang:o,code:t,...n}},this.saveNotes(),n}async resolveNoteImports(e,r,o){const t={},s=o==="python"?this.pyodideManager:this.webRManager;for(const[,n]of r.matchAll(/from_note\(\s*["']([^"']+)["']\s*\)/g)){const i=Object.values(this.notes).find(a=>a.title.toLowerCase()===n.trim().toLowerCase());if(!i)throw new Error(`from_note: no note titled "${n}"`);i.id===e.id||s.hasNoteState(i.id)||this.runningNotes.has(i.id)||await this.runAllCells(i),t[n.trim().toLowerCase()]=i.id}return t}async runAllCells(e){if(this.runningNotes.has(e.id))return!1;this.runningNotes.add(e.id);const r=()=>this.openTabs[this.activeTabIndex]===e.id,o=r()&&document.querySelector(".editor-container .run-all-btn");o&&(o.disabled=!0,o.textContent="⏳ Running...");try{const t=this.getCodeCells(e);for(let s=0;s<t.length;s++){const n=r()&&document.querySelector(`#code-${e.id}-${s}`),i=n&&n.querySelector(".code-output");i&&(i.innerHTML='<div class="spinner">⏳ Executing...</div>');const a=await this.executeCell(e,s,t[s].lang,t[s].code);if(i&&(i.innerHTML=a.html,n.classList.remove("stale")),a.error)return!1}return Object.keys(e.cellOutputs||{}).some(s=>s>=t.length)&&(e.cellOutputs=Object.fromEntries(Object.entries(e.cellOutputs).filter(([s])=>s<t.length)),this.saveNotes()),!0}finally{this.runningNotes.delete(e.id),o&&(o.disabled=!1,o.textContent="▶▶ Run all")}}escapeHtml(t){const e=document.createElement("div");return e.textContent=t,e.innerHTML}updateRightSidebar(){const t=document.getElementById("rightSidebar").querySelector(".right-sidebar-content"),e=this.activeTabIndex>-1?this.openTabs[this.activeTabIndex]:null;if(!e||!this.notes[e]){t.innerHTML='<div class="empty-sidebar"><p>No note selected.</p></div>';return}const s=this.notes[e],n=s.getContentWithoutMetadata(),o=n.trim()?n.trim().split(/\s+/).length:0,i=this.backlinksManager.getBacklinks(s.title),b=this.backlinksManager.getUnlinkedMentions(s);let r=i.length>0?`<div class="backlinks-list">
+            ${i.map(a=>`
+                <div class="backlink-item" data-note-id="${a.noteId}">
+                    <div class="backlink-title">${a.noteTitle}</div>
+                    <div class="backlink-context">${a.context}</div>
+                </div>`).join("")}
+            </div>`:'<div class="word-count-display">No backlinks to this note.</div>',d=b.length>0?`<div class="backlinks-list">
+            ${b.map(a=>`
+                <div class="backlink-item mention-item" data-note-id="${a.noteId}" data-index="${a.index}" data-length="${a.length}">
+                    <div class="backlink-title">${a.noteTitle}<button class="btn mention-link-btn" title="Turn this mention into a link">Link</button></div>
+                    <div class="backlink-context">${a.context}</div>
+                </div>`).join("")}
+            </div>`:'<div class="word-count-display">No unlinked mentions.</div>';t.innerHTML=`
+            <div class="sidebar-section">
+                <div class="sidebar-section-header">Word Count</div>
+                <div class="word-count-display">${o} words</div>
+            </div>
+            <div class="sidebar-section">
+                <div class="sidebar-section-header">
+                    Link Graph
+                    <button class="btn" id="exportGraphBtn" style="float: right; padding: 2px 6px; font-size: 10px;">Export CSV</button>
+                </div>
+                <div class="graph-container" id="graphContainer"></div>
+            </div>
+            <div class="sidebar-section">
+                <div class="sidebar-section-header">Backlinks</div>
+                ${r}
+            </div>
+            <div class="sidebar-section">
+                <div class="sidebar-section-header">Unlinked Mentions</div>
+                ${d}
+            </div>
+            <div class="sidebar-section">
+                <div class="sidebar-section-header">Version History</div>
+                <div class="revision-list" id="revisionList"><div class="word-count-display">Loading...</div></div>
+            </div>
+        `,this.renderRevisionList(t.querySelector("#revisionList"),s),this.graphManager.createGraph(t.querySelector("#graphContainer"),s.id,1),t.querySelector("#exportGraphBtn").addEventListener("click",a=>{a.stopPropagation(),this.exportNetworkData(s.id)}),t.querySelectorAll(".backlink-item").forEach(a=>{a.addEventListener("click",c=>{c.stopPropagation(),c.target.closest(".mention-link-btn")?this.linkMention(a.dataset.noteId,+a.dataset.index,+a.dataset.length,s.id):this.openNote(a.dataset.noteId)})})}async renderRevisionList(e,o){if(!this.noteStore){e.innerHTML='<div class="word-count-display">Version history needs IndexedDB.</div>';return}let s;try{s=await this.noteStore.getRevisions(o.id)}catch(t){console.error("Failed to load revisions:",t),e.innerHTML='<div class="word-count-display">Could not load history.</div>';return}if(!e.isConnected)return;if(s.length===0){e.innerHTML='<div class="word-count-display">No earlier versions yet.</div>';return}const a=t=>{const i=t.replace(/^---\n[\s\S]*?\n---\n?/,"").trim();return i?i.split(/\s+/).length:0};e.innerHTML=s.map((t,i)=>{const n=a(t.content)-(s[i+1]?a(s[i+1].content):0),r=t.content===o.content?" current":"";return`<div class="revision-item${r}" data-rev="${t.rev}">
+                    <div class="revision-time">${new Date(t.timestamp).toLocaleString()}${r?" (current)":""}</div>
+                    <div class="revision-meta">${a(t.content)} words${s[i+1]?` · ${n>=0?"+":""}${n}`:""}</div>
+                </div>`}).join(""),e.querySelectorAll(".revision-item").forEach(t=>{t.addEventListener("click",i=>{i.stopPropagation();const n=s.find(r=>String(r.rev)===t.dataset.rev);n&&this.showRevisionDiff(o,n)})})}showRevisionDiff(e,o){const s=vt(this.convertToDisplayFormat(o.content),this.convertToDisplayFormat(e.content)),a=s.some(n=>n.type!=="same"),t=document.createElement("div");t.className="confirm-overlay",t.innerHTML=`
+                <div class="confirm-modal revision-modal">
+                    <div class="confirm-modal-header">${this.escapeHtml(o.title)} — ${new Date(o.timestamp).toLocaleString()}</div>
+                    <div class="confirm-modal-body">
+                        <div class="diff-legend"><span class="diff-del">− only in this version</span> <span class="diff-add">+ only in the current note</span></div>
+                        <div class="diff-view">${a?s.map(n=>`<div class="diff-line diff-${n.type}">${n.type==="add"?"+":n.type==="del"?"−":" "} ${this.escapeHtml(n.text)}</div>`).join(""):'<div class="diff-line diff-same">This version matches the current note.</div>'}</div>
+                    </div>
+                    <div class="confirm-modal-footer">
+                        <button class="confirm-btn secondary" data-action="close">Close</button>
+                        <button class="confirm-btn primary" data-action="restore" ${a?"":"disabled"}>Restore This Version</button>
+                    </div>
+                </div>`,document.body.appendChild(t);const i=()=>t.remove();t.querySelector('[data-action="close"]').addEventListener("click",i),t.querySelector('[data-action="restore"]').addEventListener("click",()=>{i(),this.restoreRevision(e,o)}),t.addEventListener("click",n=>{n.target===t&&i()})}restoreRevision(e,o){if(!this.notes[e.id])return;this.forcedRevisions.add(e.id);const s=e.title;e.update(o.content,!0),s!==e.title?this.handleNoteRename(e,s):(this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.updateRightSidebar()),this.renderNoteList(),this.openTabs[this.activeTabIndex]===e.id&&this.renderEditor()}exportNetworkData(t){const e=document.createElement("div");e.className="context-menu",Object.assign(e.style,{position:"fixed",top:"50%",left:"50%",transform:"translate(-50%, -50%)",zIndex:"10000"}),e.innerHTML=`
+            <div style="padding: 8px 0; font-weight: 600; border-bottom: 1px solid var(--border); margin-bottom: 8px;">Export Options</div>
+            <button class="context-menu-item" data-action="export-complete">🌐 Complete Network</button>
+            <button class="context-menu-item" data-action="export-ego">🎯 Current View Network</button>
+            <div class="context-menu-separator"></div>
+            <button class="context-menu-item" data-action="cancel">❌ Cancel</button>
+        `,document.body.appendChild(e);const s=()=>e.remove();e.querySelector('[data-action="export-complete"]').addEventListener("click",()=>{this.performNetworkExport(t,!0),s()}),e.querySelector('[data-action="export-ego"]').addEventListener("click",()=>{this.performNetworkExport(t,!1),s()}),e.querySelector('[data-action="cancel"]').addEventListener("click",s)}performNetworkExport(t,e=!0){const s=e?null:this.graphManager.currentSteps,n=this.graphManager.exportNetworkCSV(t,!0,e,!0,s);if(!n)return;const o=this.notes[t],i=new Date().toISOString().split("T"),r=o.title.replace(/[^a-z0-9]/gi,"_").toLowerCase(),a=e?"complete":`ego_${s}step${s>1?"s":""}`;this.graphManager.downloadCSV(n.edgesCSV,`${r}_${a}_edges_${i}.csv`),setTimeout(()=>this.graphManager.downloadCSV(n.nodesCSV,`${r}_${a}_nodes_${i}.csv`),100),setTimeout(()=>this.graphManager.downloadCSV(n.statsCSV,`${r}_${a}_stats_${i}.csv`),200),n.isolatedCSV&&e&&setTimeout(()=>this.graphManager.downloadCSV(n.isolatedCSV,`${r}_isolated_notes_${i}.csv`),300)}setSortOrder(t){this.sortOrder=t,x.set("pkm_sort_order",this.sortOrder),this.renderNoteList()}renderNoteList(){const t=document.getElementById("noteList"),e=Object.values(this.notes);switch(this.sortOrder){case"alphabetical":e.sort((a,c)=>a.title.localeCompare(c.title));break;case"modified-asc":e.sort((a,c)=>a.modified-c.modified);break;default:e.sort((a,c)=>c.modified-a.modified);break}const s={_notes:[],_children:{}};e.forEach(a=>{const c=a.folder||"root";if(c==="root"){s._notes.push(a);return}let d=s._children;c.split("/").forEach((p,h,u)=>{d[p]||(d[p]={_notes:[],_children:{}}),h===u.length-1?d[p]._notes.push(a):d=d[p]._children})});const n=a=>`<div class="note-item" data-note-id="${a.id}"><div class="note-title">${a.title}</div><div class="note-preview">${a.getPreview()}</div></div>`,o=a=>a._notes.length+Object.values(a._children).reduce((c,d)=>c+o(d),0),i=(a,c)=>{const d=o(c);if(d===0)return"";let p=c._notes.map(n).join("");for(const h of Object.keys(c._children).sort())p+=i(h,c._children[h]);return`<div class="folder-item"><div class="folder-header"><span class="folder-arrow">▶</span><span class="folder-name">${a}</span><span class="folder-count">${d}</span></div><div class="folder-contents" style="display: none;">${p}</div></div>`};if(this.searchQuery)this.renderSearchResults(t);else{let a=s._notes.map(n).join("");for(const c of Object.keys(s._children).sort())a+=i(c,s._children[c]);t.innerHTML=a}t.querySelectorAll(".note-item").forEach(a=>{a.addEventListener("click",()=>this.openNote(a.dataset.noteId)),a.addEventListener("contextmenu",c=>{c.preventDefault(),this.showContextMenu(c,{type:"note",noteId:a.dataset.noteId})})}),t.querySelectorAll(".folder-header").forEach(a=>{a.addEventListener("click",c=>{c.stopPropagation();const d=a.nextElementSibling,p=d.style.display==="block";d.style.display=p?"none":"block",a.querySelector(".folder-arrow").textContent=p?"▶":"▼"})}),this.updateActiveNoteInSidebar(),this.renderTagPane()}renderTagPane(){const o=document.getElementById("tagPane");if(!o)return;const a={children:{}};Object.values(this.getIndexedNotes()).forEach(i=>{const n=new Set;i.getTags().forEach(t=>{let e=a,s="";t.split("/").filter(Boolean).forEach(r=>{s=s?`${s}/${r}`:r,e.children[r]||(e.children[r]={name:r,full:s,notes:new Set,children:{}}),e=e.children[r],n.has(s)||(e.notes.add(i.id),n.add(s))})})});const l=this.searchQuery.match(/^tag:(?:"([^"]+)"|([^"\s]+))$/),d=l?(l[1]||l[2]).toLowerCase():null,c=(i,n)=>Object.values(i).sort((t,e)=>e.notes.size-t.notes.size||t.name.localeCompare(e.name)).map(t=>{const e=Object.keys(t.children).length>0,s=this.expandedTags.has(t.full);return`<div class="tag-item${t.full===d?" active":""}" data-tag="${this.escapeHtml(t.full)}" style="padding-left: ${8+n*14}px">
+                        <span class="tag-arrow">${e?s?"▼":"▶":""}</span><span class="tag-name">#${this.escapeHtml(t.name)}</span><span class="tag-count">${t.notes.size}</span>
+                    </div>${e&&s?c(t.children,n+1):""}`}).join("");o.innerHTML=Object.keys(a.children).length>0?c(a.children,0):'<div class="empty-sidebar">No tags yet.</div>',o.querySelectorAll(".tag-item").forEach(i=>{i.addEventListener("click",n=>{n.stopPropagation();const t=i.dataset.tag;n.target.classList.contains("tag-arrow")&&n.target.textContent?(this.expandedTags.has(t)?this.expandedTags.delete(t):this.expandedTags.add(t),this.renderTagPane()):this.filterByTag(t)})})}filterByTag(o){const a=document.getElementById("searchInput"),l=this.searchQuery===`tag:"${o}"`?"":`tag:"${o}"`;a&&(a.value=l),this.searchNotes(l)}updateActiveNoteInSidebar(){requestAnimationFrame(()=>{if(document.querySelectorAll(".note-item.active").forEach(t=>t.classList.remove("active")),this.activeTabIndex>-1){const t=this.openTabs[this.activeTabIndex],e=document.querySelector(`.note-item[data-note-id="${t}"]`);e&&e.classList.add("active")}})}showContextMenu(t,e={}){this.hideContextMenu();const s=document.createElement("div");s.id="context-menu",s.className="context-menu";let n="";const o=i=>this.sortOrder===i?"✔ ":"";switch(e.type){case"note":const i=e.noteId;n=`
+                    <div class="context-menu-title">Actions for ${this.notes[i]?`"${this.notes[i].title}"`:"Note"}</div>
+                    <button class="context-menu-item" data-action="open" data-note-id="${i}">📂 Open</button>
+                    <button class="context-menu-item" data-action="move-note" data-note-id="${i}">↦ Move...</button>
+                    <button class="context-menu-item" data-action="rename-note" data-note-id="${i}">✏️ Rename...</button>
+                    <button class="context-menu-item" data-action="merge-note" data-note-id="${i}">🔀 Merge into...</button>
+                    <div class="context-menu-separator"></div>
+                    <button class="context-menu-item" data-action="delete" data-note-id="${i}">🗑️ Delete Note</button>
+                `;break;case"sidebar":n=`
+                    <button class="context-menu-item" data-action="new-note">📝 New Note</button>
+                    <button class="context-menu-item" data-action="new-folder">📁 New Folder...</button>
+                    <div class="context-menu-separator"></div>
+                    <div class="context-menu-title">Sort Notes By</div>
+                    <button class="context-menu-item" data-sort="alphabetical">${o("alphabetical")}Alphabetical</button>
+                    <button class="context-menu-item" data-sort="modified-desc">${o("modified-desc")}Most Recent</button>
+                    <button class="context-menu-item" data-sort="modified-asc">${o("modified-asc")}Oldest</button>
+                `;break;default:n=`
+                    <div class="context-menu-title">Sort Notes By</div>
+                    <button class="context-menu-item" data-sort="alphabetical">${o("alphabetical")}Alphabetical</button>
+                    <button class="context-menu-item" data-sort="modified-desc">${o("modified-desc")}Most Recent</button>
+                    <button class="context-menu-item" data-sort="modified-asc">${o("modified-asc")}Oldest</button>
+                    <div class="context-menu-separator"></div>
+                    <button class="context-menu-item" data-action="new-note">📝 New Note</button>
+                `;break}s.innerHTML=n,document.body.appendChild(s),s.style.top=`${t.clientY}px`,s.style.left=`${t.clientX}px`,s.addEventListener("click",i=>{const r=i.target.closest("button.context-menu-item");if(!r)return;const{action:a,sort:c,noteId:d}=r.dataset;switch(c&&this.setSortOrder(c),a){case"new-note":this.createNote();break;case"new-folder":this.createFolder();break;case"open":this.openNote(d);break;case"move-note":this.moveNote(d);break;case"rename-note":this.renameNote(d);break;case"merge-note":this.mergeNote(d);break;case"delete":this.deleteNote(d,i);break}this.hideContextMenu()})}hideContextMenu(){const t=document.getElementById("context-menu");t&&t.remove()}searchNotes(t){this.searchQuery=t.trim(),this.renderNoteList()}renderSearchResults(n){const s=this.searchIndex.search(this.searchQuery).filter(t=>this.notes[t.id]),i=t=>this.escapeHtml(t);if(s.length===0){n.innerHTML='<div class="search-summary">No matching notes.</div>';return}n.innerHTML=`<div class="search-summary">${s.length} result${s.length===1?"":"s"}</div>`+s.map(t=>{const e=this.notes[t.id],o=this.convertToDisplayFormat(e.getContentWithoutMetadata()).replace(/\[\[([^\]|/]+)(?:\/([^\]]+))?\]\]/g,(c,a,r)=>r||a);return`<div class="note-item search-result" data-note-id="${e.id}"><div class="note-title">${this.searchIndex.highlight(e.title,t.matches,i)}</div><div class="search-snippet">${this.searchIndex.snippet(o,t.matches,i)}</div><div class="search-meta">${i(e.folder&&e.folder!=="root"?e.folder:"")}</div></div>`}).join("")}saveNotes(){const n=[],a=[],b=new Map;Object.values(this.notes).forEach(t=>{const e=JSON.stringify(t),o=this.savedSnapshots.get(t.id);if(e===o)return;this.isTemplate(t)?this.searchIndex.removeNote(t.id):this.searchIndex.indexNote(t),n.push(JSON.parse(e));const i=o?JSON.parse(o):null;i&&i.content!==t.content&&a.push({note:{id:t.id,title:t.title,content:t.content},previous:i,force:this.forcedRevisions.has(t.id)}),b.set(t.id,[o,e]),this.savedSnapshots.set(t.id,e)});const s=[...this.savedSnapshots.keys()].filter(t=>!this.notes[t]),l=()=>{b.forEach(([t,e],o)=>{this.savedSnapshots.get(o)===e&&(t===void 0?this.savedSnapshots.delete(o):this.savedSnapshots.set(o,t))}),a.forEach(t=>t.force&&this.forcedRevisions.add(t.note.id))};if(s.forEach(t=>b.set(t,[this.savedSnapshots.get(t)])),(n.length>0||s.length>0)&&this.refreshDependentPreview([...n.map(t=>t.id),...s]),s.forEach(t=>this.savedSnapshots.delete(t)),s.forEach(t=>this.searchIndex.removeNote(t)),this.forcedRevisions.clear(),!this.noteStore){try{x.set("pkm_notes",this.notes)}catch(t){l(),this.reportSaveError(t)}return Promise.resolve()}return n.length===0&&s.length===0?Promise.resolve():this.noteStore.saveNotes(n,s,a).then(()=>{const t=document.querySelector(".save-status.error");t&&(t.textContent="Saved",t.classList.remove("error"))},t=>{l(),this.reportSaveError(t)})}async reportSaveError(e){console.error("Failed to save notes:",e);const n=document.querySelector(".save-status");if(n&&(n.textContent="⚠️ Not saved",n.classList.add("error")),this.saveErrorShown)return;this.saveErrorShown=!0;const{confirmed:s}=await this._showConfirmationModal({title:"Notes could not be saved",message:`Your latest changes were not written to browser storage (${this.escapeHtml(e.message||String(e))}). Download a JSON backup now?`,confirmText:"Download Backup",cancelText:"Dismiss",confirmClass:"danger"});this.saveErrorShown=!1,s&&this.exportAsJSON()}saveSettings(){x.set("pkm_settings",this.settings)}importFiles(){document.getElementById("fileInput").click()}exportNotes(){const t=document.createElement("div");t.className="context-menu",Object.assign(t.style,{position:"fixed",top:"50%",left:"50%",transform:"translate(-50%, -50%)",zIndex:"10000"}),t.innerHTML=`
+            <div style="padding: 8px 0; font-weight: 600; border-bottom: 1px solid var(--border); margin-bottom: 8px;">Export Options</div>
+            <button class="context-menu-item" data-action="export-json">📄 Export as JSON</button>
+            <button class="context-menu-item" data-action="export-markdown">📝 Export as Markdown Files</button>
+            <button class="context-menu-item" data-action="export-single-md">📋 Export as Single Markdown</button>
+            <button class="context-menu-item" data-action="export-zip">🗜️ Export Vault as Zip</button>
+            <div class="context-menu-separator"></div>
+            <button class="context-menu-item" data-action="cancel">❌ Cancel</button>
+        `,document.body.appendChild(t);const e=()=>t.remove();t.querySelector('[data-action="export-json"]').addEventListener("click",()=>{this.exportAsJSON(),e()}),t.querySelector('[data-action="export-markdown"]').addEventListener("click",()=>{this.exportAsMarkdownFiles(),e()}),t.querySelector('[data-action="export-single-md"]').addEventListener("click",()=>{this.exportAsSingleMarkdown(),e()}),t.querySelector('[data-action="export-zip"]').addEventListener("click",()=>{this.exportAsZip(),e()}),t.querySelector('[data-action="cancel"]').addEventListener("click",e)}exportAsJSON(){const t=JSON.stringify({notes:this.notes,exported:new Date().toISOString()},null,2);this.downloadFile(t,`pkm-notes-${new Date().toISOString().split("T")[0]}.json`,"application/json")}exportAsMarkdownFiles(){Object.keys(this.notes).length!==0&&Object.values(this.notes).forEach((t,e)=>{setTimeout(()=>{const s=t.title.replace(/[^a-z0-9]/gi,"_").toLowerCase();this.downloadFile(t.content,`${s}.md`,"text/markdown")},e*100)})}exportAsSingleMarkdown(){if(Object.keys(this.notes).length===0)return;const t=Object.values(this.notes).sort((s,n)=>n.modified-s.modified);let e=`# PKM Notes Export
+
+Exported on: ${new Date().toLocaleString()}
+
+---
+
+`;t.forEach(s=>{e+=`# ${s.title}
+
+*Created: ${new Date(s.created).toLocaleString()}*
+*Modified: ${new Date(s.modified).toLocaleString()}*
+
+${s.getContentWithoutMetadata()}
+
+---
+
+`}),this.downloadFile(e,`pkm-notes-combined-${new Date().toISOString().split("T")[0]}.md`,"text/markdown")}async exportAsZip(){const i=Object.values(this.notes);if(i.length===0)return;const n=new kt,s=new Set,t=new Map,o={png:"png",jpeg:"jpg",gif:"gif",webp:"webp","svg+xml":"svg"};i.forEach(e=>{let h=this.getNoteFilePath(e);for(let l=2;s.has(h.toLowerCase());l++)h=this.getNoteFilePath(e,l);const m="../".repeat(h.split("/").length-1);s.add(h.toLowerCase());const g=this.toPortableFormat(e.content).replace(/(!\[[^\]]*\]\()data:image\/([\w.+-]+);base64,([A-Za-z0-9+/=\s]+)\)/g,(l,f,u,b)=>{const p=b.replace(/\s/g,"");let d=t.get(p);return d||(d=`attachments/image-${t.size+1}.${o[u]||u}`,t.set(p,d),n.add(d,this.base64ToBlob(p,`image/${u}`))),`${f}${m}${d})`});n.add(h,g)}),this.downloadFile(await n.generate(),`pkm-vault-${new Date().toISOString().split("T")[0]}.zip`,"application/zip")}sanitizeFileName(i){return i.replace(/[\\/:*?"<>|\u0000-\u001f]/g,"_").replace(/^[.\s]+|[.\s]+$/g,"").substring(0,120)}getNoteFolderPath(t){return(t.folder||"root")==="root"?"":t.folder.split("/").map(e=>this.sanitizeFileName(e)).filter(Boolean).join("/")}getNoteFilePath(t,e=1){const s=this.getNoteFolderPath(t);return`${s?s+"/":""}${this.sanitizeFileName(t.title)||"Untitled"}${e>1?` (${e})`:""}.md`}toPortableFormat(i){return i.replace(/\[\[([^|\]]+)\|([^\]|]+)((?:\|[^\]]+)?)\]\]/g,(n,s,t,o)=>{const e=this.notes[s];return e?t.trim()===e.title&&!o?`[[${e.title}]]`:`[[${e.title}|${t.trim()}${o}]]`:n})}fromPortableFormat(i,n={}){return n=Object.values(this.notes).reduce((s,t)=>(s[t.title.toLowerCase()]=s[t.title.toLowerCase()]||t.id,s),{...n}),i.replace(/\[\[([^\]|#]+)(#[^\]|]*)?(?:\|([^\]|]+))?((?:\|[^\]]+)?)\]\]/g,(s,t,o,e,a)=>{const r=t.trim(),l=n[r.toLowerCase()];return this.notes[r]||!l||o?s:`[[${l}|${(e||r).trim()}${a}]]`})}downloadFile(t,e,s){const n=new Blob([t],{type:s}),o=document.createElement("a");o.href=URL.createObjectURL(n),o.download=e,o.click(),URL.revokeObjectURL(o.href)}async handleFileImport(t){const e=Array.from(t.target.files||[]);if(t.target.value="",e.length===0)return;const r=[],h=new Map,a=new TextDecoder;try{for(const n of e)if(/\.zip$/i.test(n.name))for(const c of await kt.read(n))/(^|\/)(__MACOSX|\.)/.test(c.path)||(/\.(md|txt)$/i.test(c.path)?r.push({path:c.path,content:a.decode(c.bytes)}):h.set(c.path,c.bytes));else(n.type.startsWith("text/")||/\.(md|txt)$/i.test(n.name))&&r.push({path:n.name,content:await n.text()});await this.importNotes(r,h)}catch(n){console.error("An error occurred during file import:",n),this._showConfirmationModal({title:"Import failed",message:this.escapeHtml(n.message||String(n)),confirmText:"OK",cancelText:"Close"})}}async importNotes(a,h=new Map){const s={png:"image/png",jpg:"image/jpeg",jpeg:"image/jpeg",gif:"image/gif",webp:"image/webp",svg:"image/svg+xml"},r=(t,l)=>{const c=t?t.split("/"):[];return l.split("/").forEach(i=>{i===".."?c.pop():i&&i!=="."&&c.push(i)}),c.join("/")},n=a.map(t=>{const l=t.content.replace(/\r\n?/g,`
+`),c=t.path.split("/"),i=c.pop(),o=c.join("/"),m=l.match(/^---\n([\s\S]*?)\n---/),d=m&&m[1].match(/^title:\s*(.+)$/m),g=d?d[1].replace(/^['"]|['"]$/g,"").trim():i.replace(/\.(md|txt)$/i,""),k=l.replace(/(!\[[^\]]*\]\()(?!\w+:|\/)([^)\s]+)\)/g,(b,C,S)=>{let w=S;try{w=decodeURI(S)}catch{}const y=h.get(r(o,w));if(!y)return b;let x="";for(let f=0;f<y.length;f+=32768)x+=String.fromCharCode(...y.subarray(f,f+32768));return`${C}data:${s[w.split(".").pop().toLowerCase()]||"application/octet-stream"};base64,${btoa(x)})`}),$=Object.values(this.notes).find(b=>b.title.toLowerCase()===g.toLowerCase());return{title:g,folder:o||"root",content:k,existing:$}}),e=n.filter(t=>t.existing&&t.existing.getContentWithoutMetadata().trim()!==t.content.replace(/^---\n[\s\S]*?\n---\n?/,"").trim()),u=e.length>0?await this.resolveImportConflicts(e):null;if(e.length>0&&!u)return;const p=[],v={},j=new Set(Object.values(this.notes).map(t=>t.title.toLowerCase())),q={new:0,merge:0,copy:0,skip:0};n.map(t=>{const l=t.existing?e.includes(t)?u.get(t):"skip":"new";if(q[l]++,l==="skip")return null;if(l==="merge")return{note:t.existing,title:t.title,merged:t.content.replace(/^---\n[\s\S]*?\n---\n?/,"").trim()};let c=t.title,i=t.content;if(l==="copy"){for(let d=1;j.has(c.toLowerCase());d++)c=`${t.title} (imported${d>1?" "+d:""})`;i=i.startsWith("---")?i:N.prototype.generateDefaultContent(c)+i,i=this.setFrontmatterField(this.setFrontmatterField(i,"title",c),"tags",`[${[...new N(c,i).getFrontmatterTags().filter(d=>d!=="import-conflict"),"import-conflict"].join(", ")}]`)}const o=new N(c,i);o.content.startsWith("---")||(o.content=o.generateDefaultContent(o.title)+o.content),o.folder=t.folder,j.add(o.title.toLowerCase());const m=Date.parse(o.parseMetadata().created);return isNaN(m)||(o.created=m),{note:o,title:t.title}}).filter(Boolean).forEach(({note:t,title:l,merged:c})=>{c===void 0?this.notes[t.id]=t:t.update(`${t.content.trimEnd()}
+
+---
+
+## Merged from import (${new Date().toLocaleDateString()})
+
+${c}
+`,!0),p.includes(t)||p.push(t),v[l.toLowerCase()]=t.id}),p.forEach(t=>{const l=this.fromPortableFormat(t.content,v);l!==t.content&&t.update(l,!1)}),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.saveNotes(),this.renderNoteList(),this.updateRightSidebar(),this.openTabs.some(t=>p.some(l=>l.id===t))&&this.renderEditor(),this._showConfirmationModal({title:"Import complete",message:`Imported ${p.length} of ${n.length} note${n.length===1?"":"s"}: ${q.new} new, ${q.merge} merged, ${q.copy} kept as copies, ${q.skip} skipped.`,confirmText:"OK",cancelText:"Close"})}setFrontmatterField(a,h,s){const r=a.match(/^---\n([\s\S]*?)\n---/);if(!r)return a;const n=new RegExp(`^${this.escapeRegExp(h)}:.*$`,"m");return`---
+${n.test(r[1])?r[1].replace(n,()=>`${h}: ${s}`):`${r[1]}
+${h}: ${s}`}
+---${a.slice(r[0].length)}`}showSyncMenu(){if(!this.syncHandle){this.connectFolder();return}if(!this.vaultSync){this.reconnectFolder();return}const t=document.createElement("div");t.className="context-menu",Object.assign(t.style,{position:"fixed",top:"50%",left:"50%",transform:"translate(-50%, -50%)",zIndex:"10000"}),t.innerHTML=`
+            <div style="padding: 8px 0; font-weight: 600; border-bottom: 1px solid var(--border); margin-bottom: 8px;">📁 ${this.escapeHtml(this.syncHandle.name)}${this.syncSummary?`<div class="sync-summary">${this.escapeHtml(this.syncSummary)}</div>`:""}</div>
+            <button class="context-menu-item" data-action="sync-now">🔄 Sync Now</button>
+            <button class="context-menu-item" data-action="disconnect">🔌 Disconnect Folder</button>
+            <div class="context-menu-separator"></div>
+            <button class="context-menu-item" data-action="cancel">❌ Cancel</button>
+        `,document.body.appendChild(t);const n=()=>t.remove();t.querySelector('[data-action="sync-now"]').addEventListener("click",()=>{n(),this.syncWithFolder()}),t.querySelector('[data-action="disconnect"]').addEventListener("click",()=>{n(),this.disconnectFolder()}),t.querySelector('[data-action="cancel"]').addEventListener("click",n)}updateSyncStatus(t,n){const o=document.getElementById("syncBtn");o&&(o.className=`btn sync-btn ${t}`,o.textContent=`📁 ${n}`,o.title=this.syncSummary)}async connectFolder(){if(!window.showDirectoryPicker){this._showConfirmationModal({title:"Folder sync unavailable",message:"This browser does not support the File System Access API. Use a Chromium-based browser (Chrome, Edge) to sync with a local folder.",confirmText:"OK",cancelText:"Close"});return}let t;try{t=await window.showDirectoryPicker({mode:"readwrite"})}catch{return}this.syncHandle=t,this.vaultSync=new Ct(new St(t)),await this.saveSyncState(),await this.syncWithFolder(),this.startSyncPolling()}async restoreFolderSync(){if(!this.noteStore)return;let t;try{t=await this.noteStore.getSyncData()}catch(n){console.error("Could not load folder sync settings:",n);return}!t||!t.handle||(this.syncHandle=t.handle,this.syncState=t.state||{},await t.handle.queryPermission({mode:"readwrite"})==="granted"?(this.vaultSync=new Ct(new St(t.handle),this.syncState),await this.syncWithFolder(),this.startSyncPolling()):this.updateSyncStatus("paused",`Reconnect ${t.handle.name}`))}async reconnectFolder(){await this.syncHandle.requestPermission({mode:"readwrite"})==="granted"&&(this.vaultSync=new Ct(new St(this.syncHandle),this.syncState||{}),await this.syncWithFolder(),this.startSyncPolling())}async disconnectFolder(){clearInterval(this.syncTimer),this.syncTimer=null,this.vaultSync=null,this.syncHandle=null,this.syncState=null,this.syncSummary="",this.noteStore&&await this.noteStore.setSyncData(null),this.updateSyncStatus("","Sync Folder")}startSyncPolling(){clearInterval(this.syncTimer),this.syncTimer=setInterval(()=>document.visibilityState==="visible"&&this.syncWithFolder(),5e3)}saveSyncState(){return this.noteStore&&this.syncHandle?this.noteStore.setSyncData({handle:this.syncHandle,state:this.vaultSync?this.vaultSync.state:{}}):Promise.resolve()}getSyncEntries(){const r=this.vaultSync?this.vaultSync.state:{},t=new Set,b=new Map,c=Object.values(this.notes).sort((n,o)=>n.created-o.created);return c.forEach(n=>{const o=r[n.id];if(!o)return;const a=this.getNoteFolderPath(n);let i=`${a?a+"/":""}${o.path.split("/").pop()}`;t.has(i.toLowerCase())&&(i=o.path),t.add(i.toLowerCase()),b.set(n.id,i)}),c.map(n=>{let o=b.get(n.id);if(!o){o=this.getNoteFilePath(n);for(let a=2;t.has(o.toLowerCase());a++)o=this.getNoteFilePath(n,a);t.add(o.toLowerCase())}return{id:n.id,path:o,text:this.toPortableFormat(n.content)}})}async syncWithFolder(){if(!(!this.vaultSync||this.syncing)){this.syncing=!0,this.updateSyncStatus("syncing","Syncing...");try{this.saveActiveNote();const t=await this.vaultSync.sync(this.getSyncEntries()),n=[];t.moved.forEach(({id:e,path:s})=>{const i=this.notes[e];i&&(i.folder=s.split("/").slice(0,-1).join("/")||"root",n.push(i))}),t.removed.forEach(e=>{const s=this.openTabs.indexOf(e);s>-1&&this.closeTab(s),delete this.notes[e],this.clearExecutionState(e)});const o=t.created.map(({path:e,text:s})=>{const i=this.createNoteFromFile(e,s);return this.vaultSync.track(i.id,e,s),i});o.forEach(e=>{const s=this.fromPortableFormat(e.content);s!==e.content&&e.update(s,!1)}),t.updated.forEach(({id:e,text:s})=>this.applySyncedContent(this.notes[e],s));for(const e of t.conflicts){const s=this.notes[e.id],i=s&&await this.resolveSyncConflict(s,e);i==="disk"?(this.applySyncedContent(s,e.remote),this.vaultSync.track(e.id,e.path,e.remote)):typeof i=="string"&&(i!=="app"&&this.applySyncedContent(s,i),await this.vaultSync.resolve(e,i==="app"?e.local:i))}[...o,...t.updated,...t.conflicts].forEach(({id:e})=>this.notes[e]&&this.vaultSync.setLocal(e,this.toPortableFormat(this.notes[e].content)));const a=[[o.length,"new"],[t.updated.length,"updated"],[n.length,"moved"],[t.removed.length,"removed"],[t.conflicts.length,t.conflicts.length===1?"conflict":"conflicts"]].filter(([e])=>e>0);a.length>0&&(this.syncSummary=`Last changes (${new Date().toLocaleTimeString()}): ${a.map(([e,s])=>`${e} ${s}`).join(", ")}`,this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes()),this.saveNotes(),this.renderNoteList(),this.updateRightSidebar(),this.openTabs.some(e=>t.updated.some(s=>s.id===e)||t.conflicts.some(s=>s.id===e))&&this.renderEditor()),await this.saveSyncState(),this.updateSyncStatus("connected",this.syncHandle.name)}catch(t){console.error("Folder sync failed:",t),this.updateSyncStatus("error","Sync failed"),t.name==="NotAllowedError"&&(this.vaultSync=null,clearInterval(this.syncTimer),this.updateSyncStatus("paused",`Reconnect ${this.syncHandle.name}`))}finally{this.syncing=!1}}}createNoteFromFile(t,n){const o=t.split("/"),a=o.pop().replace(/\.md$/i,""),s=new N(a);s.update(n.replace(/\r\n?/g,`
+`),!1),s.folder=o.join("/")||"root";const i=Date.parse(s.parseMetadata().created);return isNaN(i)||(s.created=i),this.notes[s.id]=s,s}applySyncedContent(t,n){if(!t)return;const o=t.title;t.update(this.fromPortableFormat(n.replace(/\r\n?/g,`
+`)),!0),o!==t.title&&this.handleNoteRename(t,o)}buildConflictMerge(t,n){const o=[];let a=[],e=[];const s=()=>{(a.length||e.length)&&o.push("<<<<<<< app",...a,"=======",...e,">>>>>>> disk"),a=[],e=[]};return vt(t,n).forEach(i=>i.type==="same"?(s(),o.push(i.text)):i.type==="del"?a.push(i.text):e.push(i.text)),s(),o.join(`
+`)}resolveSyncConflict(t,n){return new Promise(o=>{const a=vt(n.remote,n.local),e=document.createElement("div");e.className="confirm-overlay",e.innerHTML=`
+                <div class="confirm-modal revision-modal sync-conflict-modal">
+                    <div class="confirm-modal-header">"${this.escapeHtml(t.title)}" changed on disk and in the app</div>
+                    <div class="confirm-modal-body">
+                        <div class="import-conflict-folder">${this.escapeHtml(n.path)}</div>
+                        <div class="diff-legend"><span class="diff-del">− only on disk</span> <span class="diff-add">+ only in the app</span></div>
+                        <div class="diff-view">${a.map(r=>`<div class="diff-line diff-${r.type}">${r.type==="add"?"+":r.type==="del"?"−":" "} ${this.escapeHtml(r.text)}</div>`).join("")}</div>
+                        <textarea class="sync-merge-text" hidden>${this.escapeHtml(this.buildConflictMerge(n.local,n.remote))}</textarea>
+                    </div>
+                    <div class="confirm-modal-footer">
+                        <button class="confirm-btn secondary" data-action="merge">Merge Manually</button>
+                        <button class="confirm-btn secondary" data-action="disk">Keep Disk Version</button>
+                        <button class="confirm-btn primary" data-action="app">Keep App Version</button>
+                    </div>
+                </div>`,document.body.appendChild(e);const s=r=>{e.remove(),o(r)},i=e.querySelector(".sync-merge-text");e.querySelector('[data-action="disk"]').addEventListener("click",()=>s("disk")),e.querySelector('[data-action="app"]').addEventListener("click",()=>s("app")),e.querySelector('[data-action="merge"]').addEventListener("click",r=>{if(i.hidden){i.hidden=!1,e.querySelector(".diff-view").hidden=!0,r.target.textContent="Save Merge",r.target.classList.replace("secondary","primary"),i.focus();return}s(i.value)})})}resolveImportConflicts(a){return new Promise(h=>{const s=document.createElement("div");s.className="confirm-overlay",s.innerHTML=`
+                <div class="confirm-modal import-conflict-modal">
+                    <div class="confirm-modal-header">${a.length} imported note${a.length>1?"s have titles":" has a title"} already in your vault</div>
+                    <div class="confirm-modal-body">
+                        <div class="import-conflict-all">Set all to:
+                            <button class="btn" data-all="merge">Merge</button>
+                            <button class="btn" data-all="copy">Keep both</button>
+                            <button class="btn" data-all="skip">Skip</button>
+                        </div>
+                        <div class="import-conflict-list">${a.map((n,e)=>`
+                            <div class="import-conflict-item">
+                                <div><div class="import-conflict-title">${this.escapeHtml(n.title)}</div><div class="import-conflict-folder">${this.escapeHtml(n.folder)}</div></div>
+                                <select data-index="${e}">
+                                    <option value="merge">Merge into existing</option>
+                                    <option value="copy">Keep both (flag copy)</option>
+                                    <option value="skip">Skip</option>
+                                </select>
+                            </div>`).join("")}</div>
+                    </div>
+                    <div class="confirm-modal-footer">
+                        <button class="confirm-btn secondary" data-action="cancel">Cancel Import</button>
+                        <button class="confirm-btn primary" data-action="import">Import</button>
+                    </div>
+                </div>`,document.body.appendChild(s);const r=n=>{s.remove(),h(n)};s.querySelectorAll("[data-all]").forEach(n=>{n.addEventListener("click",()=>s.querySelectorAll("select").forEach(e=>e.value=n.dataset.all))}),s.querySelector('[data-action="cancel"]').addEventListener("click",()=>r(null)),s.querySelector('[data-action="import"]').addEventListener("click",()=>{r(new Map([...s.querySelectorAll("select")].map(n=>[a[+n.dataset.index],n.value])))})})}createWikiLinkCompletion(){return t=>{const e=t.matchBefore(/\[\[([^\]#]*)$/);if(!e)return null;const s=e.text.slice(2).toLowerCase(),n=Object.values(this.notes).filter(o=>o.title.toLowerCase().includes(s)).map(o=>({label:`[[${o.title}]]`,type:"text",apply:`[[${o.title}]]`}));return s.length>0&&n.push({label:`[[${s}]] (create new)`,type:"text",apply:`[[${s}]]`}),{from:e.from,options:n}}}createBlockLinkCompletion(){return d=>{const s=d.matchBefore(/\[\[([^\]#|]+)#(\^?)([^\]]*)$/);if(!s)return null;const[,o,l,h]=s.text.match(/^\[\[([^\]#|]+)#(\^?)(.*)$/),i=Object.values(this.notes).find(t=>t.title.toLowerCase()===o.trim().toLowerCase());if(!i)return null;const e=h.toLowerCase();return l?{from:s.from,options:i.getBlocks().map((t,n)=>({...t,index:n})).filter(t=>t.type!=="heading"&&t.text&&(t.text.toLowerCase().includes(e)||t.id&&t.id.startsWith(e))).map(t=>({label:t.text.replace(/\s+/g," ").substring(0,60),detail:t.id?`^${t.id}`:"new block id",type:"text",apply:(n,a,r,c)=>this.applyBlockLink(n,i,t,r,c)}))}:{from:s.from,options:i.getBlocks().filter(t=>t.type==="heading"&&t.text.toLowerCase().includes(e)).map(t=>{const n=t.text.replace(/^#+\s*/,"").replace(/\s*#*$/,"");return{label:`[[${i.title}#${n}]]`,detail:"heading",type:"text",apply:`[[${i.title}#${n}]]`}})}}}applyBlockLink(d,s,o,l,h){const i=this.openTabs[this.activeTabIndex]===s.id;let e=o.id,t=[];if(!e&&i){const a=this.convertToDisplayFormat(s.getContentWithoutMetadata()).split(`
+`)[o.end],r=d.state.doc;e=Math.random().toString(36).slice(2,8);for(let c=1;c<=r.lines;c++){const u=r.line(c);if(u.text===a){t.push({from:u.to,insert:o.type==="code"?`
+^${e}`:` ^${e}`});break}}t.length===0&&(e=null)}else e||(e=s.ensureBlockId(o.index),e&&(this.saveNotes(),this.backlinksManager.updateNotes(this.getIndexedNotes()),this.graphManager.updateNotes(this.getIndexedNotes())));const n=e?`[[${s.title}#^${e}]]`:`[[${s.title}]]`;d.dispatch({changes:[...t,{from:l,to:h,insert:n}],selection:{anchor:l+n.length+t.filter(a=>a.from<=l).reduce((a,r)=>a+r.insert.length,0)}})}toggleTheme(){this.settings.theme=this.settings.theme==="light"?"dark":"light",this.saveSettings(),this.setupTheme()}convertToDisplayFormat(t){return t.replace(/\[\[([^|\]]+)\|([^\]]+)\]\]/g,(e,s,n)=>{const o=this.notes[s];return o?n!==o.title?`[[${o.title}/${n}]]`:`[[${n}]]`:e})}convertToInternalFormat(t){const e=Object.values(this.notes).reduce((s,n)=>(s[n.title.toLowerCase()]=n.id,s),{});return t.replace(/\[\[([^|\]\/]+)(?:\/([^\]]+))?\]\]/g,(s,n,o)=>{const i=n.trim(),r=e[i.toLowerCase()];if(r){const a=(o||"").trim();return`[[${r}|${a||i}]]`}return s})}showWelcomeModal(){if(x.get("pkm_seen_welcome",!1))return;const e=document.createElement("div");e.className="welcome-modal",e.innerHTML=`
+           <div class="welcome-overlay"></div>
+            <div class="welcome-modal-content">
+                <div class="welcome-header">
+                    <h2>Welcome to PKM WebNotes! 📝</h2>
+                    <button class="welcome-close-btn">×</button>
+                </div>
+                <div class="welcome-body">
+                    <p>This is a lightweight, web-based personal knowledge management tool.</p>
+                    <h4>Key Features:</h4>
+                    <ul>
+                        <li><b>Tabbed Interface:</b> Open and manage multiple notes in tabs.</li>
+                        <li><b>Markdown Editor:</b> Real-time preview with syntax highlighting.</li>
+                        <li><b>Wikilinks:</b> Create connections between notes using <code>[[Note Title]]</code>.</li>
+                        <li><b>Aliases for Links:</b> Create aliases for displayed link text using <code> [[Note Title/Display Text]]</code>.</li>
+                        <li><b>Backlinks Panel:</b> See all notes that link to your current note.</li>
+                        <li><b>Code Execution:</b> Run Python code blocks directly within your notes via the Preview window.</li>
+                        <li><b>Graph View:</b> Visualize the connections between your notes.</li>
+                        <li><b>Local Storage:</b> Everything is saved directly in your browser.</li>
+                        <li><b>Portability:</b> Your notes and the graph of your linked thought can be exported as .md and .csv.</li>
+                    </ul>
+                </div>
+                <div class="welcome-footer">
+                    <button class="btn btn-primary" id="welcomeGotItBtn">Got it!</button>
+                    <label class="welcome-checkbox">
+                        <input type="checkbox" id="welcomeDontShow"> Don't show this again
+                    </label>
+                </div>
+            </div>
+        `,document.body.appendChild(e);const s=()=>{e.querySelector("#welcomeDontShow").checked&&x.set("pkm_seen_welcome",!0),e.remove()};e.querySelector(".welcome-close-btn").addEventListener("click",s),e.querySelector("#welcomeGotItBtn").addEventListener("click",s),e.querySelector(".welcome-overlay").addEventListener("click",s)}}document.addEventListener("DOMContentLoaded",()=>{window.app=new bt});
@@ -0,0 +1 @@
+class St{constructor(e){this.handle=e}async list(){const n=[],s=async(r,i)=>{for await(const[t,e]of r.entries()){if(t.startsWith("."))continue;const o=i?`${i}/${t}`:t;if(e.kind==="directory")await s(e,o);else if(/\.md$/i.test(t)){const a=await e.getFile();n.push({path:o,size:a.size,mtime:a.lastModified})}}};return await s(this.handle,""),n}async getDirectory(e,s){let n=this.handle;for(const l of e)n=await n.getDirectoryHandle(l,{create:s});return n}async read(e){const s=e.split("/"),n=s.pop();return(await(await(await this.getDirectory(s,!1)).getFileHandle(n)).getFile()).text()}async write(i,o){const t=i.split("/"),a=t.pop(),e=await(await this.getDirectory(t,!0)).getFileHandle(a,{create:!0}),n=await e.createWritable();await n.write(o),await n.close();const s=await e.getFile();return{size:s.size,mtime:s.lastModified}}async remove(e){const s=e.split("/"),n=s.pop();await(await this.getDirectory(s,!1)).removeEntry(n)}}class Et{constructor(t={}){this.files=new Map,this.time=0,Object.entries(t).forEach(([e,n])=>this.put(e,n))}put(t,e){const n={text:e,size:e.length,mtime:++this.time};return this.files.set(t,n),{size:n.size,mtime:n.mtime}}async list(){return[...this.files].filter(([t])=>/\.md$/i.test(t)).map(([t,e])=>({path:t,size:e.size,mtime:e.mtime}))}async read(t){if(!this.files.has(t))throw new Error(`File not found: ${t}`);return this.files.get(t).text}async write(t,e){return this.put(t,e)}async remove(t){this.files.delete(t)}}class Ct{constructor(t,e={}){this.fs=t,this.state=e,this.files=new Map}static hash(e){let s=2166136261;for(let n=0;n<e.length;n++)s=Math.imul(s^e.charCodeAt(n),16777619);return(s>>>0).toString(16)}track(s,e,n,i=n){const t=this.files.get(e);this.state[s]={path:e,hash:Ct.hash(n),local:Ct.hash(i),size:t&&t.size,mtime:t&&t.mtime}}setLocal(t,e){this.state[t]&&(this.state[t].local=Ct.hash(e))}owner(e){return Object.keys(this.state).find(s=>this.state[s].path===e)}async put(t,e){this.files.set(t,{path:t,...await this.fs.write(t,e)})}async drop(t){await this.fs.remove(t),this.files.delete(t)}async sync(d){const o={created:[],updated:[],moved:[],removed:[],conflicts:[]};this.files=new Map((await this.fs.list()).map(t=>[t.path,t]));const i=this.files,m=new Map(d.map(t=>[t.id,t])),h=new Map,r=async t=>(h.has(t)||h.set(t,await this.fs.read(t)),h.get(t)),u=async t=>{const e=i.get(t.path);return e&&e.size===t.size&&e.mtime===t.mtime?t.hash:Ct.hash(await r(t.path))};if(i.size===0&&Object.keys(this.state).length>0)throw new Error("The synced folder is empty. Reconnect it or disconnect sync before continuing.");const a=[...i.keys()].filter(t=>!this.owner(t));for(const[t,e]of Object.entries(this.state))m.has(t)||(delete this.state[t],i.has(e.path)&&(await u(e)===e.hash?await this.drop(e.path):a.push(e.path)));const p=new Set;for(const t of d){const e=this.state[t.id];if(!(!e||i.has(e.path))){for(const s of a)if(Ct.hash(await r(s))===e.hash){const l=i.get(s);e.path=s,e.size=l.size,e.mtime=l.mtime,a.splice(a.indexOf(s),1),p.add(t.id),o.moved.push({id:t.id,path:s});break}}}for(const t of d){if(p.has(t.id))continue;const e=this.state[t.id],s=Ct.hash(t.text),l=this.owner(t.path);if(l&&l!==t.id)continue;if(!e){if(i.has(t.path)){a.splice(a.indexOf(t.path),1);const n=await r(t.path);Ct.hash(n)===s?this.track(t.id,t.path,n):o.conflicts.push({id:t.id,path:t.path,local:t.text,remote:n})}else await this.put(t.path,t.text),this.track(t.id,t.path,t.text);continue}const c=s!==(e.local??e.hash);if(!i.has(e.path)){c?(await this.put(t.path,t.text),this.track(t.id,t.path,t.text)):(delete this.state[t.id],o.removed.push(t.id));continue}if(await u(e)!==e.hash){const n=await r(e.path);c?Ct.hash(n)===s?this.track(t.id,e.path,n):o.conflicts.push({id:t.id,path:e.path,local:t.text,remote:n}):(o.updated.push({id:t.id,path:e.path,text:n}),this.track(t.id,e.path,n))}else if(c||e.path!==t.path){const n=c?t.text:await r(e.path);await this.put(t.path,n),e.path!==t.path&&await this.drop(e.path),this.track(t.id,t.path,n,t.text)}}for(const t of a)o.created.push({path:t,text:await r(t)});return o}async resolve(t,e){await this.put(t.path,e),this.track(t.id,t.path,e)}}export{St as D,Et as M,Ct as V};